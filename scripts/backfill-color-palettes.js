@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill Photo Color Palettes
+ * Recomputes colorPalette with the quantized palette extractor for photos
+ * processed before it existed (palettes without hex or Lab values)
+ *
+ * Usage: node scripts/backfill-color-palettes.js [--all] [--dry-run]
+ *   --all      recompute every processed photo, not only outdated palettes
+ *   --dry-run  print the new palettes without saving them
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Photo = require('../src/models/Photo');
+const { getFile, extractDominantColors } = require('../src/utils/r2');
+
+const args = process.argv.slice(2);
+const recomputeAll = args.includes('--all');
+const dryRun = args.includes('--dry-run');
+
+async function backfillColorPalettes() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const filter = { 'processing.status': 'completed' };
+  if (!recomputeAll) {
+    filter.$or = [
+      { colorPalette: { $size: 0 } },
+      { 'colorPalette.hex': { $exists: false } },
+      { 'colorPalette.lab': { $exists: false } }
+    ];
+  }
+
+  console.log(`🎨 Backfilling color palettes${dryRun ? ' (dry run)' : ''}\n`);
+
+  let updated = 0;
+  let failed = 0;
+
+  const cursor = Photo.find(filter).select('title publicId originalKey').cursor();
+
+  for (let photo = await cursor.next(); photo; photo = await cursor.next()) {
+    try {
+      // Prefer the original, as derivatives may carry a watermark
+      const source = await getFile(photo.originalKey || photo.publicId);
+      const colorPalette = await extractDominantColors(source.body);
+
+      if (colorPalette.length === 0) {
+        throw new Error('No colors extracted');
+      }
+
+      if (!dryRun) {
+        await Photo.updateOne({ _id: photo._id }, { $set: { colorPalette } });
+      }
+
+      updated += 1;
+      console.log(`  ✅ ${photo._id} ${photo.title}: ${colorPalette.map(c => `${c.hex} ${c.percentage}%`).join(', ')}`);
+    } catch (error) {
+      failed += 1;
+      console.log(`  ❌ ${photo._id} ${photo.title}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n🎉 ${updated} photo(s) ${dryRun ? 'would be updated' : 'updated'}, ${failed} failed`);
+}
+
+backfillColorPalettes()
+  .catch(error => {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill Photo Perceptual Hashes
+ * Computes perceptualHash (and the bands it is looked up by) for photos
+ * uploaded before duplicate detection existed, so they show up in duplicate
+ * checks and clusters
+ *
+ * Usage: node scripts/backfill-perceptual-hashes.js [--all] [--dry-run]
+ *   --all      recompute every photo, not only those without a hash or bands
+ *   --dry-run  print the hashes without saving them
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Photo = require('../src/models/Photo');
+const { getFile } = require('../src/utils/r2');
+const { computePerceptualHash, getHashBands } = require('../src/utils/perceptualHash');
+
+const args = process.argv.slice(2);
+const recomputeAll = args.includes('--all');
+const dryRun = args.includes('--dry-run');
+
+async function backfillPerceptualHashes() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const filter = recomputeAll ? {} : {
+    $or: [
+      { perceptualHash: { $exists: false } },
+      { perceptualHashBands: { $exists: false } }
+    ]
+  };
+
+  console.log(`🔍 Backfilling perceptual hashes${dryRun ? ' (dry run)' : ''}\n`);
+
+  let updated = 0;
+  let failed = 0;
+
+  const cursor = Photo.find(filter).select('title publicId originalKey').cursor();
+
+  for (let photo = await cursor.next(); photo; photo = await cursor.next()) {
+    try {
+      // Hash the original, as derivatives may carry a watermark
+      const source = await getFile(photo.originalKey || photo.publicId);
+      const perceptualHash = await computePerceptualHash(source.body);
+
+      if (!dryRun) {
+        await Photo.updateOne(
+          { _id: photo._id },
+          { $set: { perceptualHash, perceptualHashBands: getHashBands(perceptualHash) } }
+        );
+      }
+
+      updated += 1;
+      console.log(`  ✅ ${photo._id} ${photo.title}: ${perceptualHash}`);
+    } catch (error) {
+      failed += 1;
+      console.log(`  ❌ ${photo._id} ${photo.title}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n🎉 ${updated} photo(s) ${dryRun ? 'would be updated' : 'updated'}, ${failed} failed`);
+}
+
+backfillPerceptualHashes()
+  .catch(error => {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill Image Placeholders
+ * Generates BlurHash/LQIP placeholders for photos and avatars processed
+ * before placeholders existed, then copies them to portfolio covers
+ *
+ * Usage: node scripts/backfill-placeholders.js [--dry-run]
+ *   --dry-run  print the placeholders without saving them
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Photo = require('../src/models/Photo');
+const User = require('../src/models/User');
+const Portfolio = require('../src/models/Portfolio');
+const { getFile } = require('../src/utils/r2');
+const { createPlaceholder } = require('../src/utils/placeholder');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+// Generate placeholders for every document of the cursor
+// getKey returns the storage key of the image; save stores the placeholder
+async function backfill(label, cursor, getKey, save) {
+  let updated = 0;
+  let failed = 0;
+
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    try {
+      const source = await getFile(getKey(doc));
+      const placeholder = await createPlaceholder(source.body);
+
+      if (!placeholder) {
+        throw new Error('Image could not be decoded');
+      }
+
+      if (!dryRun) {
+        await save(doc, placeholder);
+      }
+
+      updated += 1;
+      console.log(`  ✅ ${label} ${doc._id}: ${placeholder.blurhash}`);
+    } catch (error) {
+      failed += 1;
+      console.log(`  ❌ ${label} ${doc._id}: ${error.message}`);
+    }
+  }
+
+  return { updated, failed };
+}
+
+async function backfillPlaceholders() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  console.log(`🖼️  Backfilling placeholders${dryRun ? ' (dry run)' : ''}\n`);
+
+  const photos = await backfill(
+    'photo',
+    Photo.find({ 'processing.status': 'completed', 'placeholder.blurhash': { $exists: false } })
+      .select('publicId originalKey')
+      .cursor(),
+    photo => photo.originalKey || photo.publicId,
+    (photo, placeholder) => Photo.updateOne({ _id: photo._id }, { $set: { placeholder } })
+  );
+
+  const avatars = await backfill(
+    'avatar',
+    User.find({ 'r2.avatarKey': { $exists: true }, 'avatarPlaceholder.blurhash': { $exists: false } })
+      .select('r2.avatarKey')
+      .cursor(),
+    user => user.r2.avatarKey,
+    (user, avatarPlaceholder) => User.updateOne({ _id: user._id }, { $set: { avatarPlaceholder } })
+  );
+
+  // Covers reference photos by URL, so their placeholders are copied
+  let covers = 0;
+  const cursor = Portfolio.find({ coverPhoto: { $ne: null }, 'coverPhotoPlaceholder.blurhash': { $exists: false } })
+    .select('user coverPhoto')
+    .cursor();
+
+  for (let portfolio = await cursor.next(); portfolio; portfolio = await cursor.next()) {
+    const coverPhotoPlaceholder = await Photo.findPlaceholderByUrl(portfolio.user, portfolio.coverPhoto);
+    if (coverPhotoPlaceholder) {
+      if (!dryRun) {
+        await Portfolio.updateOne({ _id: portfolio._id }, { $set: { coverPhotoPlaceholder } });
+      }
+      covers += 1;
+    }
+  }
+
+  console.log(`\n🎉 ${photos.updated} photo(s), ${avatars.updated} avatar(s) and ${covers} cover(s) ` +
+    `${dryRun ? 'would be updated' : 'updated'}, ${photos.failed + avatars.failed} failed`);
+}
+
+backfillPlaceholders()
+  .catch(error => {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Delete User
+ * Deletes an account with its portfolios, photos, likes, follow edges and
+ * stored files, as DELETE /api/auth/me does. Stored files are removed by
+ * the API server's job worker
+ *
+ * Usage: node scripts/delete-user.js <username|email> [--dry-run]
+ *   --dry-run  show what would be deleted without deleting anything
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../src/models/User');
+const Portfolio = require('../src/models/Portfolio');
+const Photo = require('../src/models/Photo');
+const Like = require('../src/models/Like');
+const { deleteUser } = require('../src/utils/deletion');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const identifier = args.find(arg => !arg.startsWith('--'));
+
+async function run() {
+  if (!identifier) {
+    throw new Error('Usage: node scripts/delete-user.js <username|email> [--dry-run]');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOne({
+    $or: [{ username: identifier }, { email: identifier.toLowerCase() }]
+  });
+
+  if (!user) {
+    throw new Error(`No user found for ${identifier}`);
+  }
+
+  const [portfolios, photos, likes] = await Promise.all([
+    Portfolio.countDocuments({ user: user._id }).withDeleted(),
+    Photo.countDocuments({ user: user._id }).withDeleted(),
+    Like.countDocuments({ user: user._id })
+  ]);
+
+  console.log(`👤 ${user.username} <${user.email}>`);
+  console.log(`   ${portfolios} portfolio(s), ${photos} photo(s), ${likes} like(s) given, ` +
+    `${((user.stats.storageUsed || 0) / (1024 * 1024)).toFixed(2)} MB stored\n`);
+
+  if (dryRun) {
+    console.log('🔍 Dry run, nothing deleted');
+    return;
+  }
+
+  await deleteUser(user);
+  console.log('🗑️  User deleted; stored files are removed by the job worker');
+}
+
+run()
+  .catch(error => {
+    console.error('Deletion failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Originals to Private Storage
+ * Moves uploaded originals stored next to their public derivatives into the
+ * private originals folder, and records their size and format
+ *
+ * Usage: node scripts/migrate-private-originals.js [--dry-run]
+ *   --dry-run  print the moves without copying or deleting anything
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Photo = require('../src/models/Photo');
+const {
+  ORIGINALS_FOLDER,
+  generateKey,
+  getFile,
+  uploadToR2,
+  deleteFromR2
+} = require('../src/utils/r2');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+// Formats as reported by sharp, by file extension
+const FORMATS = { jpg: 'jpeg', tif: 'tiff' };
+
+// env/photos/userId/file_original.jpg -> env/originals/userId/file_original.jpg
+const getPrivateKey = (key) => {
+  const [, , ...rest] = key.split('/');
+  return generateKey(ORIGINALS_FOLDER, rest.join('/'));
+};
+
+async function migratePrivateOriginals() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  console.log(`🔒 Moving originals to private storage${dryRun ? ' (dry run)' : ''}\n`);
+
+  let moved = 0;
+  let failed = 0;
+
+  const cursor = Photo.find({
+    originalKey: { $exists: true, $not: new RegExp(`/${ORIGINALS_FOLDER}/`) }
+  }).select('originalKey').withDeleted().cursor();
+
+  for (let photo = await cursor.next(); photo; photo = await cursor.next()) {
+    const privateKey = getPrivateKey(photo.originalKey);
+    const extension = photo.originalKey.split('.').pop();
+
+    try {
+      if (!dryRun) {
+        const file = await getFile(photo.originalKey);
+        await uploadToR2(file.body, privateKey, file.contentType, file.metadata);
+        await Photo.updateOne(
+          { _id: photo._id },
+          {
+            $set: {
+              originalKey: privateKey,
+              'original.size': file.body.length,
+              'original.format': FORMATS[extension] || extension
+            }
+          }
+        );
+        await deleteFromR2(photo.originalKey);
+      }
+
+      moved += 1;
+      console.log(`  ✅ ${photo._id}: ${photo.originalKey} -> ${privateKey}`);
+    } catch (error) {
+      failed += 1;
+      console.log(`  ❌ ${photo._id}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n🎉 ${moved} original(s) ${dryRun ? 'would be moved' : 'moved'}, ${failed} failed`);
+}
+
+migratePrivateOriginals()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
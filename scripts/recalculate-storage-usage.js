@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Recalculate Storage Usage
+ * Measures the stored files of every photo, avatar and watermark logo and
+ * rewrites Photo.storageSize and User.stats.storageUsed from the results.
+ * Run once after upgrading, or to correct drift after manual changes
+ *
+ * Usage: node scripts/recalculate-storage-usage.js [--dry-run]
+ *   --dry-run  print the usage without saving it
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Photo = require('../src/models/Photo');
+const User = require('../src/models/User');
+const { getFileInfo } = require('../src/utils/r2');
+const { isNotFoundError } = require('../src/utils/storage');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+// Size of a stored file; missing files count as zero
+async function getStoredSize(key) {
+  if (!key) {
+    return 0;
+  }
+
+  try {
+    const info = await getFileInfo(key);
+    return info.contentLength || 0;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+async function sumStoredSizes(keys) {
+  let total = 0;
+  for (const key of keys) {
+    total += await getStoredSize(key);
+  }
+  return total;
+}
+
+async function recalculateStorageUsage() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  console.log(`📦 Recalculating storage usage${dryRun ? ' (dry run)' : ''}\n`);
+
+  let users = 0;
+  let failed = 0;
+
+  const cursor = User.find().select('username r2').cursor();
+
+  for (let user = await cursor.next(); user; user = await cursor.next()) {
+    try {
+      let storageUsed = 0;
+
+      // Duplicated portfolios share their photos' files; count each file once
+      // Trashed photos keep their files until purged
+      const countedKeys = new Set();
+      const photos = await Photo.find({ user: user._id })
+        .select('publicId originalKey formats variants')
+        .withDeleted();
+
+      for (const photo of photos) {
+        const keys = photo.getStorageKeys().filter(key => !countedKeys.has(key));
+        keys.forEach(key => countedKeys.add(key));
+
+        const storageSize = await sumStoredSizes(keys);
+        storageUsed += storageSize;
+
+        if (!dryRun) {
+          await Photo.updateOne({ _id: photo._id }, { $set: { storageSize } });
+        }
+      }
+
+      const avatarSize = await getStoredSize(user.r2 && user.r2.avatarKey);
+      const watermarkLogoSize = await getStoredSize(user.r2 && user.r2.watermarkLogoKey);
+      storageUsed += avatarSize + watermarkLogoSize;
+
+      if (!dryRun) {
+        await User.updateOne(
+          { _id: user._id },
+          {
+            $set: {
+              'stats.storageUsed': storageUsed,
+              'r2.avatarSize': avatarSize,
+              'r2.watermarkLogoSize': watermarkLogoSize
+            }
+          }
+        );
+      }
+
+      users += 1;
+      console.log(`  ✅ ${user.username}: ${photos.length} photo(s), ${(storageUsed / (1024 * 1024)).toFixed(2)} MB`);
+    } catch (error) {
+      failed += 1;
+      console.log(`  ❌ ${user.username}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n🎉 ${users} user(s) ${dryRun ? 'measured' : 'updated'}, ${failed} failed`);
+}
+
+recalculateStorageUsage()
+  .catch(error => {
+    console.error('Recalculation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Reconcile Storage
+ * Finds objects under this environment's prefix that no photo, user or
+ * portfolio references any more (failed uploads, bulk deletions, replaced
+ * files) and deletes them
+ *
+ * Usage: node scripts/reconcile-storage.js [--dry-run] [--min-age-hours=24]
+ *   --dry-run          only report the orphans
+ *   --min-age-hours=N  ignore objects modified in the last N hours, which may
+ *                      belong to uploads still in progress (default 24)
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { ENVIRONMENT_PREFIX } = require('../src/utils/r2');
+const { DEFAULT_MIN_AGE_MS, reconcileStorage } = require('../src/utils/storageReconciliation');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const minAgeArg = args.find(arg => arg.startsWith('--min-age-hours='));
+const minAge = minAgeArg
+  ? parseFloat(minAgeArg.split('=')[1]) * 60 * 60 * 1000
+  : DEFAULT_MIN_AGE_MS;
+
+async function reconcile() {
+  if (!(minAge >= 0)) {
+    throw new Error('--min-age-hours must be a number of hours');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  console.log(`🧹 Reconciling storage under ${ENVIRONMENT_PREFIX}/${dryRun ? ' (dry run)' : ''}\n`);
+
+  const summary = await reconcileStorage({
+    dryRun,
+    minAge,
+    onOrphan: (object, { deleted }) => {
+      console.log(`  ${deleted ? '🗑️ ' : '👻'} ${object.key} (${object.size || 0} bytes)`);
+    }
+  });
+
+  const megabytes = (summary.orphanBytes / (1024 * 1024)).toFixed(2);
+  console.log(`\n🎉 Scanned ${summary.scanned} object(s), skipped ${summary.skipped} recent one(s); ` +
+    `${summary.orphans} orphan(s) (${megabytes} MB) ${dryRun ? 'found' : 'deleted'}`);
+}
+
+reconcile()
+  .catch(error => {
+    console.error('Reconciliation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getStorageLimit, getStorageUsage } = require('../utils/storageQuota');
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -28,6 +29,11 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Single-purpose tokens (e.g. email verification) are not access tokens
+      if (decoded.purpose) {
+        throw new jwt.JsonWebTokenError('Invalid token purpose');
+      }
+
       // Get user from token
       const user = await User.findById(decoded.id).select('-password');
 
@@ -45,7 +51,16 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Reject access tokens whose session has been signed out
+      if (decoded.sid && !user.findRefreshSession(decoded.sid)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -102,11 +117,16 @@ const optionalAuth = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        if (decoded.purpose) {
+          throw new jwt.JsonWebTokenError('Invalid token purpose');
+        }
+
         // Get user from token
         const user = await User.findById(decoded.id).select('-password');
 
-        if (user && user.isActive) {
+        if (user && user.isActive && (!decoded.sid || user.findRefreshSession(decoded.sid))) {
           req.user = user;
+          req.sessionId = decoded.sid;
         }
       } catch (error) {
         // Token is invalid, but we don't fail the request
@@ -173,13 +193,13 @@ const checkSubscriptionLimits = (limitType) => {
       free: {
         photos: 30,
         portfolios: 3,
-        storage: 100 * 1024 * 1024, // 100MB
+        storage: getStorageLimit('free'), // 100MB unless configured
         customDomain: false
       },
       pro: {
         photos: Infinity,
         portfolios: Infinity,
-        storage: 10 * 1024 * 1024 * 1024, // 10GB
+        storage: getStorageLimit('pro'), // 10GB unless configured
         customDomain: true
       }
     };
@@ -193,6 +213,20 @@ const checkSubscriptionLimits = (limitType) => {
       });
     }
 
+    // The request body is an upper bound of the bytes to be stored; the
+    // exact size is reserved once the upload has been received
+    if (limitType === 'storage') {
+      const incoming = parseInt(req.get('content-length'), 10) || 0;
+      const { used } = getStorageUsage(user);
+
+      if (used + incoming > userLimits.storage) {
+        return res.status(413).json({
+          success: false,
+          message: `You have reached the storage limit for your ${plan} plan (${userLimits.storage} bytes)`
+        });
+      }
+    }
+
     if (limitType === 'portfolios') {
       // This would need to be checked against actual portfolio count
       // For now, we'll let it pass and check in the route handler
@@ -210,20 +244,29 @@ const checkSubscriptionLimits = (limitType) => {
 };
 
 // Rate limiting for specific actions
-const createRateLimit = (windowMs, max, message) => {
+// keyGenerator defaults to the authenticated user and route path
+const createRateLimit = (windowMs, max, message, keyGenerator) => {
+  // This is a simplified in-memory rate limiter
+  // In production, you'd want to use a more sophisticated solution
+  // like express-rate-limit with Redis
+  const rateLimitStore = new Map();
+
+  // Drop expired windows, so keys that are not seen again (e.g. login
+  // attempts with random identifiers) do not accumulate
+  setInterval(() => {
+    const now = Date.now();
+    rateLimitStore.forEach((limits, key) => {
+      if (now > limits.resetTime) {
+        rateLimitStore.delete(key);
+      }
+    });
+  }, windowMs).unref();
+
   return (req, res, next) => {
-    // This is a simplified rate limiter
-    // In production, you'd want to use a more sophisticated solution
-    // like express-rate-limit with Redis
-    
-    const key = `${req.user._id}_${req.route.path}`;
+    const key = keyGenerator ? keyGenerator(req) : `${req.user._id}_${req.route.path}`;
     const now = Date.now();
     
-    if (!req.rateLimitStore) {
-      req.rateLimitStore = new Map();
-    }
-    
-    const userLimits = req.rateLimitStore.get(key) || { count: 0, resetTime: now + windowMs };
+    const userLimits = rateLimitStore.get(key) || { count: 0, resetTime: now + windowMs };
     
     if (now > userLimits.resetTime) {
       userLimits.count = 0;
@@ -238,7 +281,7 @@ const createRateLimit = (windowMs, max, message) => {
     }
     
     userLimits.count++;
-    req.rateLimitStore.set(key, userLimits);
+    rateLimitStore.set(key, userLimits);
     
     next();
   };
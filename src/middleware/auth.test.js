@@ -0,0 +1,58 @@
+jest.mock('sharp', () => jest.fn());
+
+const { createRateLimit } = require('./auth');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('createRateLimit', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const request = (limit, key) => {
+    const res = createResponse();
+    const next = jest.fn();
+    limit({ key }, res, next);
+    return { res, next };
+  };
+
+  it('blocks requests over the limit until the window ends', () => {
+    const limit = createRateLimit(1000, 2, 'Slow down', req => req.key);
+
+    expect(request(limit, 'a').next).toHaveBeenCalled();
+    expect(request(limit, 'a').next).toHaveBeenCalled();
+
+    const blocked = request(limit, 'a');
+    expect(blocked.next).not.toHaveBeenCalled();
+    expect(blocked.res.status).toHaveBeenCalledWith(429);
+    expect(blocked.res.json).toHaveBeenCalledWith({ success: false, message: 'Slow down' });
+
+    // Other keys have their own window
+    expect(request(limit, 'b').next).toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1001);
+    expect(request(limit, 'a').next).toHaveBeenCalled();
+  });
+
+  it('drops expired windows of keys that are not seen again', () => {
+    const deleteSpy = jest.spyOn(Map.prototype, 'delete');
+    const limit = createRateLimit(1000, 5, null, req => req.key);
+
+    request(limit, 'login_1.2.3.4_random-identifier');
+    jest.advanceTimersByTime(999);
+    expect(deleteSpy).not.toHaveBeenCalledWith('login_1.2.3.4_random-identifier');
+
+    jest.advanceTimersByTime(1001);
+    expect(deleteSpy).toHaveBeenCalledWith('login_1.2.3.4_random-identifier');
+  });
+});
@@ -51,6 +51,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Request body larger than the parser limit (e.g. an oversized upload chunk)
+  if (err.type === 'entity.too.large') {
+    const message = 'Request body too large';
+    error = { message, statusCode: 413 };
+  }
+
   // Cloudinary errors
   if (err.http_code) {
     const message = err.message || 'Image upload failed';
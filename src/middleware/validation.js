@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { METADATA_POLICIES, GPS_POLICIES } = require('../utils/exif');
+const { parseColor } = require('../utils/colors');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -113,6 +115,63 @@ const validatePasswordChange = [
   handleValidationErrors
 ];
 
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  handleValidationErrors
+];
+
+const validatePasswordReset = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number'),
+
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Password confirmation does not match new password');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  handleValidationErrors
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  body('recoveryCode')
+    .if(body('code').not().exists())
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required'),
+
+  handleValidationErrors
+];
+
 // Portfolio validation rules
 const validatePortfolio = [
   body('title')
@@ -244,6 +303,42 @@ const validatePhoto = [
     .isInt({ min: 0 })
     .withMessage('Order must be a non-negative integer'),
   
+  body('settings.privacy.metadata')
+    .optional({ values: 'null' })
+    .isIn(METADATA_POLICIES)
+    .withMessage(`Metadata privacy must be one of: ${METADATA_POLICIES.join(', ')}`),
+
+  body('settings.privacy.gps')
+    .optional({ values: 'null' })
+    .isIn(GPS_POLICIES)
+    .withMessage(`GPS privacy must be one of: ${GPS_POLICIES.join(', ')}`),
+
+  body('settings.watermark.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Watermark enabled must be a boolean'),
+
+  body('settings.watermark.text')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Watermark text cannot exceed 100 characters')
+    .trim(),
+
+  body('settings.watermark.logo')
+    .optional()
+    .isBoolean()
+    .withMessage('Watermark logo must be a boolean'),
+
+  body('settings.watermark.position')
+    .optional()
+    .isIn(['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'])
+    .withMessage('Invalid watermark position'),
+
+  body('settings.watermark.opacity')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Watermark opacity must be between 0 and 1'),
+
   handleValidationErrors
 ];
 
@@ -297,6 +392,16 @@ const validateSearch = [
     .isIn(['newest', 'oldest', 'popular', 'trending'])
     .withMessage('Invalid sort option'),
   
+  query('color')
+    .optional()
+    .custom(value => parseColor(value) !== null)
+    .withMessage('Color must be a hex (#aabbcc) or rgb(r,g,b) color'),
+
+  query('tolerance')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tolerance must be between 0 and 100'),
+
   handleValidationErrors
 ];
 
@@ -306,6 +411,10 @@ module.exports = {
   validateUserLogin,
   validateUserUpdate,
   validatePasswordChange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
   validatePortfolio,
   validatePortfolioUpdate,
   validatePhoto,
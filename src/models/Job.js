@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+
+// How long a running job may go without finishing before another worker
+// assumes its worker died and picks it up again
+const JOB_LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+const JOB_RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10) || 30 * 1000;
+const JOB_RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// Background job stored in MongoDB and run by the worker in utils/jobQueue
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Document the job works on, for looking up its jobs (e.g. a photo)
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Recurring jobs are queued again this many milliseconds after each run
+  // instead of completing (see Job.schedule)
+  interval: Number,
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  completedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+jobSchema.index({ status: 1, type: 1, runAt: 1 });
+jobSchema.index({ subject: 1, type: 1, createdAt: -1 });
+// One document per recurring job type
+jobSchema.index({ type: 1 }, { unique: true, partialFilterExpression: { interval: { $exists: true } } });
+// Completed jobs are kept for a week
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Delay before the next attempt: exponential backoff, capped at one hour
+const getRetryDelay = (attempts) => {
+  return Math.min(JOB_RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), JOB_RETRY_MAX_DELAY_MS);
+};
+
+// Static method to add a job to the queue
+// Pass options.session to enqueue as part of a transaction
+jobSchema.statics.enqueue = async function(type, payload = {}, options = {}) {
+  const [job] = await this.create([{
+    type,
+    payload,
+    subject: options.subject || null,
+    runAt: options.runAt || new Date(),
+    ...(options.maxAttempts && { maxAttempts: options.maxAttempts })
+  }], { session: options.session || null });
+
+  return job;
+};
+
+// Static method to make sure a recurring job is scheduled
+// Every process can call this on startup: there is only ever one job per
+// type, so it runs once per interval however many processes are running
+jobSchema.statics.schedule = async function(type, interval) {
+  try {
+    return await this.findOneAndUpdate(
+      { type, interval: { $exists: true } },
+      {
+        $set: { interval },
+        $setOnInsert: { payload: {}, status: 'queued', runAt: new Date() }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another process created it at the same time
+    if (error.code === 11000) {
+      return this.findOne({ type, interval: { $exists: true } });
+    }
+    throw error;
+  }
+};
+
+// Static method to get how often a running job refreshes its lock
+// A few refreshes fit in the lock timeout, so one late refresh is harmless
+jobSchema.statics.getHeartbeatInterval = function() {
+  return Math.floor(JOB_LOCK_TIMEOUT_MS / 3);
+};
+
+// Static method to claim the next due job of the given types
+// Running jobs whose lock has timed out are claimed again while they have
+// attempts left (see failAbandoned for the others)
+jobSchema.statics.claimNext = function(workerId, types) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        {
+          status: 'running',
+          lockedAt: { $lt: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS) },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Static method to settle running jobs whose lock has timed out on their
+// last attempt: their worker died, so they are failed like any last attempt,
+// and recurring ones wait for their next run
+jobSchema.statics.failAbandoned = async function() {
+  const filter = {
+    status: 'running',
+    lockedAt: { $lt: new Date(Date.now() - JOB_LOCK_TIMEOUT_MS) },
+    $expr: { $gte: ['$attempts', '$maxAttempts'] }
+  };
+  const lastError = 'Job lock timed out';
+
+  const [failed, rescheduled] = await Promise.all([
+    this.updateMany(
+      { ...filter, interval: { $exists: false } },
+      {
+        $set: { status: 'failed', failedAt: new Date(), lastError },
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      }
+    ),
+    this.updateMany(
+      { ...filter, interval: { $exists: true } },
+      [
+        { $set: { status: 'queued', runAt: { $add: ['$$NOW', '$interval'] }, attempts: 0, lastError } },
+        { $unset: ['lockedAt', 'lockedBy'] }
+      ]
+    )
+  ]);
+
+  return failed.modifiedCount + rescheduled.modifiedCount;
+};
+
+// Instance method to refresh the lock of a running job, so it is not
+// claimed again while its handler is still working
+jobSchema.methods.refreshLock = function() {
+  return this.constructor.updateOne(
+    { _id: this._id, status: 'running', lockedBy: this.lockedBy },
+    { $set: { lockedAt: new Date() } }
+  );
+};
+
+// Instance method to check if a failure of the current attempt is final
+jobSchema.methods.isLastAttempt = function() {
+  return this.attempts >= this.maxAttempts;
+};
+
+// Update applied when a recurring job is done with a run: it is queued for
+// the next interval with a fresh set of attempts
+const getNextRunUpdate = (job) => ({
+  status: 'queued',
+  runAt: new Date(Date.now() + job.interval),
+  attempts: 0
+});
+
+// Instance method to mark the job as completed
+jobSchema.methods.markCompleted = function() {
+  if (this.interval) {
+    return this.constructor.updateOne(
+      { _id: this._id, lockedBy: this.lockedBy },
+      {
+        $set: { ...getNextRunUpdate(this), lastError: null },
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      }
+    );
+  }
+
+  return this.constructor.updateOne(
+    { _id: this._id, lockedBy: this.lockedBy },
+    {
+      $set: { status: 'completed', completedAt: new Date(), lastError: null },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    }
+  );
+};
+
+// Instance method to record a failed attempt
+// The job is retried with backoff until it runs out of attempts; a recurring
+// job then waits for its next run instead of failing for good
+jobSchema.methods.markFailed = function(error) {
+  let update = { status: 'queued', runAt: new Date(Date.now() + getRetryDelay(this.attempts)) };
+
+  if (this.isLastAttempt()) {
+    update = this.interval ? getNextRunUpdate(this) : { status: 'failed', failedAt: new Date() };
+  }
+
+  return this.constructor.updateOne(
+    { _id: this._id, lockedBy: this.lockedBy },
+    {
+      $set: { ...update, lastError: error.message },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    }
+  );
+};
+
+// Static method to get the most recent job of a type for a subject
+jobSchema.statics.findLatestFor = function(type, subjectId) {
+  return this.findOne({ type, subject: subjectId }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Job', jobSchema);
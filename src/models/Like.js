@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const likeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Like must belong to a user']
+  },
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    required: [true, 'Like must belong to a photo']
+  }
+}, {
+  timestamps: true
+});
+
+// A user can like a given photo only once
+likeSchema.index({ user: 1, photo: 1 }, { unique: true });
+likeSchema.index({ photo: 1 });
+
+// Static method to like a photo (idempotent)
+// Returns true if a new like was recorded, false if the user already liked it
+likeSchema.statics.likePhoto = async function(userId, photo) {
+  try {
+    const result = await this.updateOne(
+      { user: userId, photo: photo._id },
+      { $setOnInsert: { user: userId, photo: photo._id } },
+      { upsert: true }
+    );
+
+    if (!result.upsertedCount) {
+      return false;
+    }
+  } catch (error) {
+    // Concurrent like from the same user lost the upsert race
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+
+  await this.model('Photo').updateOne(
+    { _id: photo._id },
+    { $inc: { 'analytics.likes': 1 } }
+  );
+
+  await this.model('User').updateOne(
+    { _id: photo.user._id || photo.user },
+    { $inc: { 'stats.totalLikes': 1 } }
+  );
+
+  return true;
+};
+
+// Static method to unlike a photo (idempotent)
+// Returns true if an existing like was removed
+likeSchema.statics.unlikePhoto = async function(userId, photo) {
+  const like = await this.findOneAndDelete({ user: userId, photo: photo._id });
+
+  if (!like) {
+    return false;
+  }
+
+  await this.model('Photo').updateOne(
+    { _id: photo._id, 'analytics.likes': { $gt: 0 } },
+    { $inc: { 'analytics.likes': -1 } }
+  );
+
+  await this.model('User').updateOne(
+    { _id: photo.user._id || photo.user, 'stats.totalLikes': { $gt: 0 } },
+    { $inc: { 'stats.totalLikes': -1 } }
+  );
+
+  return true;
+};
+
+// Static method to remove the likes of photos being deleted
+// The photos' like counts are taken out of their owners' totalLikes by the
+// caller (see utils/deletion), which deletes the photos in the same session
+likeSchema.statics.removeForPhotos = function(photoIds, session = null) {
+  return this.deleteMany({ photo: { $in: photoIds } }, { session });
+};
+
+// Static method to get the IDs of the given photos a user has liked
+likeSchema.statics.findLikedPhotoIds = async function(userId, photoIds) {
+  const likes = await this.find({
+    user: userId,
+    photo: { $in: photoIds }
+  }).select('photo');
+
+  return new Set(likes.map(like => like.photo.toString()));
+};
+
+module.exports = mongoose.model('Like', likeSchema);
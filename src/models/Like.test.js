@@ -0,0 +1,89 @@
+jest.mock('sharp', () => jest.fn());
+
+const mongoose = require('mongoose');
+const Like = require('./Like');
+const Photo = require('./Photo');
+const User = require('./User');
+
+const userId = new mongoose.Types.ObjectId();
+const ownerId = new mongoose.Types.ObjectId();
+const photo = { _id: new mongoose.Types.ObjectId(), user: ownerId };
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Photo, 'updateOne').mockResolvedValue({});
+  jest.spyOn(User, 'updateOne').mockResolvedValue({});
+});
+
+describe('Like.likePhoto', () => {
+  it('records the like and counts it on the photo and its owner', async() => {
+    jest.spyOn(Like, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+
+    await expect(Like.likePhoto(userId, photo)).resolves.toBe(true);
+
+    expect(Like.updateOne.mock.calls[0][2]).toEqual({ upsert: true });
+    expect(Photo.updateOne).toHaveBeenCalledWith({ _id: photo._id }, { $inc: { 'analytics.likes': 1 } });
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: ownerId }, { $inc: { 'stats.totalLikes': 1 } });
+  });
+
+  it('does not count a photo the user already liked again', async() => {
+    jest.spyOn(Like, 'updateOne').mockResolvedValue({ upsertedCount: 0 });
+
+    await expect(Like.likePhoto(userId, photo)).resolves.toBe(false);
+
+    expect(Photo.updateOne).not.toHaveBeenCalled();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('does not count a concurrent like that lost the upsert race', async() => {
+    jest.spyOn(Like, 'updateOne').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(Like.likePhoto(userId, photo)).resolves.toBe(false);
+
+    expect(Photo.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('passes on other errors', async() => {
+    jest.spyOn(Like, 'updateOne').mockRejectedValue(new Error('Connection lost'));
+
+    await expect(Like.likePhoto(userId, photo)).rejects.toThrow('Connection lost');
+  });
+});
+
+describe('Like.unlikePhoto', () => {
+  it('removes the like and uncounts it without going below zero', async() => {
+    jest.spyOn(Like, 'findOneAndDelete').mockResolvedValue(new Like({ user: userId, photo: photo._id }));
+
+    await expect(Like.unlikePhoto(userId, photo)).resolves.toBe(true);
+
+    expect(Photo.updateOne).toHaveBeenCalledWith(
+      { _id: photo._id, 'analytics.likes': { $gt: 0 } },
+      { $inc: { 'analytics.likes': -1 } }
+    );
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: ownerId, 'stats.totalLikes': { $gt: 0 } },
+      { $inc: { 'stats.totalLikes': -1 } }
+    );
+  });
+
+  it('changes no counter when the photo was not liked', async() => {
+    jest.spyOn(Like, 'findOneAndDelete').mockResolvedValue(null);
+
+    await expect(Like.unlikePhoto(userId, photo)).resolves.toBe(false);
+
+    expect(Photo.updateOne).not.toHaveBeenCalled();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('uncounts a like once when the same unlike is sent twice', async() => {
+    jest.spyOn(Like, 'findOneAndDelete')
+      .mockResolvedValueOnce(new Like({ user: userId, photo: photo._id }))
+      .mockResolvedValueOnce(null);
+
+    const results = await Promise.all([Like.unlikePhoto(userId, photo), Like.unlikePhoto(userId, photo)]);
+
+    expect(results).toEqual([true, false]);
+    expect(Photo.updateOne).toHaveBeenCalledTimes(1);
+    expect(User.updateOne).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Audit record of a failed login attempt
+const loginAttemptSchema = new mongoose.Schema({
+  identifier: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: String,
+  userAgent: String,
+  reason: {
+    type: String,
+    enum: [
+      'unknown_user',
+      'invalid_password',
+      'invalid_two_factor',
+      'account_locked',
+      'throttled',
+      'deactivated'
+    ],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60 // Keep audit records for 90 days
+  }
+});
+
+// Indexes for better performance
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ identifier: 1, createdAt: -1 });
+
+// Static method to record a failed attempt
+// Audit failures are logged but never block the login response
+loginAttemptSchema.statics.record = async function(req, { identifier, user, reason }) {
+  try {
+    await this.create({
+      identifier: identifier || (user && user.email) || 'unknown',
+      user: user ? user._id : null,
+      ip: req.ip,
+      userAgent: (req.get('user-agent') || '').slice(0, 500),
+      reason
+    });
+  } catch (error) {
+    console.error('Login attempt audit error:', error.message);
+  }
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
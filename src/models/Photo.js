@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { METADATA_POLICIES, GPS_POLICIES } = require('../utils/exif');
+const { buildImageUrl } = require('../utils/imageTransform');
+const { rgbToLab } = require('../utils/colors');
+const {
+  MAX_DUPLICATE_THRESHOLD,
+  getDuplicateThreshold,
+  hammingDistance,
+  getHashBands,
+  getSimilarHashBands,
+  clusterByHash
+} = require('../utils/perceptualHash');
+const softDelete = require('../utils/softDelete');
 
 const photoSchema = new mongoose.Schema({
   user: {
@@ -32,6 +44,41 @@ const photoSchema = new mongoose.Schema({
     type: String, // Thumbnail URL
     required: true
   },
+  originalKey: {
+    type: String // Private R2 key of the uploaded original, processed in the background
+  },
+  // The uploaded file as stored, before any processing
+  original: {
+    size: Number, // File size in bytes
+    format: String
+  },
+  storageSize: {
+    type: Number, // Bytes of every stored file (original, renditions, thumbnail)
+    default: 0
+  },
+  perceptualHash: {
+    type: String // dHash of the original, for duplicate detection (see utils/perceptualHash)
+  },
+  perceptualHashBands: {
+    type: [String], // Bands of perceptualHash, set on save, for indexed similarity lookups
+    default: undefined
+  },
+  formats: [{
+    _id: false,
+    format: String, // jpg/png fallback first, then webp, avif
+    key: String, // R2 key
+    url: String,
+    size: Number
+  }],
+  variants: [{
+    _id: false,
+    width: Number,
+    height: Number,
+    key: String, // R2 key
+    url: String,
+    size: Number,
+    format: String
+  }],
   metadata: {
     width: {
       type: Number,
@@ -44,7 +91,7 @@ const photoSchema = new mongoose.Schema({
     format: {
       type: String,
       required: true,
-      enum: ['jpg', 'jpeg', 'png', 'webp', 'gif']
+      enum: ['jpg', 'jpeg', 'png', 'webp', 'gif', 'tiff']
     },
     size: {
       type: Number, // File size in bytes
@@ -131,12 +178,31 @@ const photoSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Overrides of the owner's preferences.privacy; unset inherits them
+    privacy: {
+      metadata: {
+        type: String,
+        enum: METADATA_POLICIES
+      },
+      gps: {
+        type: String,
+        enum: GPS_POLICIES
+      }
+    },
     watermark: {
       enabled: {
         type: Boolean,
         default: false
       },
-      text: String,
+      text: {
+        type: String,
+        maxlength: [100, 'Watermark text cannot exceed 100 characters']
+      },
+      // Draw the owner's uploaded watermark logo (see User.r2.watermarkLogoKey)
+      logo: {
+        type: Boolean,
+        default: false
+      },
       position: {
         type: String,
         enum: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'],
@@ -155,9 +221,28 @@ const photoSchema = new mongoose.Schema({
     maxlength: [125, 'Alt text cannot exceed 125 characters']
   },
   colorPalette: [{
-    color: String,
+    color: String, // rgb(r,g,b)
+    hex: String,
+    // CIE Lab, indexed for color search (see utils/colors)
+    lab: {
+      l: Number,
+      a: Number,
+      b: Number
+    },
     percentage: Number
   }],
+  // Shown while the image loads (see utils/placeholder)
+  placeholder: {
+    blurhash: String,
+    lqip: String // base64 data URI
+  },
+  // Portfolio whose trashing also trashed this photo, so restoring the
+  // portfolio restores it (null when the photo was trashed on its own)
+  trashedWith: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    default: null
+  },
   processing: {
     status: {
       type: String,
@@ -201,6 +286,16 @@ photoSchema.index({ 'analytics.likes': -1 });
 photoSchema.index({ createdAt: -1 });
 photoSchema.index({ order: 1 });
 photoSchema.index({ publicId: 1 }); // Index for R2 key lookups
+photoSchema.index({ originalKey: 1 });
+photoSchema.index({ 'formats.key': 1 });
+photoSchema.index({ 'variants.key': 1 });
+photoSchema.index({ user: 1, perceptualHash: 1 }); // Index for duplicate detection
+photoSchema.index({ user: 1, perceptualHashBands: 1 });
+photoSchema.index({ 'colorPalette.lab.l': 1, 'colorPalette.lab.a': 1, 'colorPalette.lab.b': 1 }); // Index for color search
+photoSchema.index({ user: 1, deletedAt: -1 }); // Index for listing the trash
+
+// Trashed photos are hidden from queries until restored or purged
+photoSchema.plugin(softDelete);
 
 // Virtual for aspect ratio
 photoSchema.virtual('aspectRatio').get(function() {
@@ -235,6 +330,18 @@ photoSchema.virtual('thumbnailCdnUrl').get(function() {
   return this.thumbnail;
 });
 
+// Virtual for responsive image srcset in the fallback format
+// Photos processed before variants existed fall back to the main image
+photoSchema.virtual('srcset').get(function() {
+  if (this.variants && this.variants.length > 0) {
+    return this.constructor.buildSrcset(this.variants);
+  }
+  if (this.url && this.metadata && this.metadata.width) {
+    return `${this.url} ${this.metadata.width}w`;
+  }
+  return null;
+});
+
 // Pre-save middleware to generate alt text if not provided
 photoSchema.pre('save', function(next) {
   if (!this.altText && this.title) {
@@ -245,6 +352,14 @@ photoSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to index the perceptual hash
+photoSchema.pre('save', function(next) {
+  if (this.isModified('perceptualHash')) {
+    this.perceptualHashBands = this.perceptualHash ? getHashBands(this.perceptualHash) : undefined;
+  }
+  next();
+});
+
 // Pre-save middleware to update user stats
 photoSchema.pre('save', async function(next) {
   if (this.isNew) {
@@ -260,24 +375,6 @@ photoSchema.pre('save', async function(next) {
   next();
 });
 
-// Pre-remove middleware to update user stats and clean up
-photoSchema.pre('remove', async function(next) {
-  try {
-    // Update user stats
-    await this.model('User').findByIdAndUpdate(
-      this.user,
-      { $inc: { 'stats.totalPhotos': -1 } }
-    );
-    
-    // Note: R2 cleanup is handled in the upload route
-    // This ensures proper error handling and logging
-    
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
 // Instance method to increment view count
 photoSchema.methods.incrementView = function() {
   this.analytics.views += 1;
@@ -285,12 +382,6 @@ photoSchema.methods.incrementView = function() {
   return this.save();
 };
 
-// Instance method to increment like count
-photoSchema.methods.incrementLike = function() {
-  this.analytics.likes += 1;
-  return this.save();
-};
-
 // Instance method to increment download count
 photoSchema.methods.incrementDownload = function() {
   this.analytics.downloads += 1;
@@ -306,10 +397,91 @@ photoSchema.methods.canAccess = function(user) {
   return user && user._id.toString() === this.user.toString();
 };
 
+// Instance method to get the metadata privacy policy for this photo
+// Photo settings override the owner's preferences; GPS is only redacted
+// on public photos
+photoSchema.methods.getPrivacyPolicy = function(owner) {
+  const photoPrivacy = (this.settings && this.settings.privacy) || {};
+  const ownerPrivacy = (owner && owner.preferences && owner.preferences.privacy) || {};
+
+  return {
+    metadata: photoPrivacy.metadata || ownerPrivacy.metadata || 'all',
+    gps: this.isPublic ? (photoPrivacy.gps || ownerPrivacy.gps || 'remove') : 'keep'
+  };
+};
+
+// Instance method to get the watermark drawn on the photo's derivatives
+// Returns null when disabled or there is nothing to draw
+photoSchema.methods.getWatermark = function() {
+  const watermark = this.settings && this.settings.watermark;
+
+  if (!watermark || !watermark.enabled || (!watermark.text && !watermark.logo)) {
+    return null;
+  }
+
+  return {
+    text: watermark.text || null,
+    logo: Boolean(watermark.logo),
+    position: watermark.position,
+    opacity: watermark.opacity
+  };
+};
+
+// Instance method to get the settings the photo's derivatives are rendered
+// with; the derivatives must be regenerated whenever these change
+photoSchema.methods.getRenderSettings = function(owner) {
+  return {
+    privacy: this.getPrivacyPolicy(owner),
+    watermark: this.getWatermark()
+  };
+};
+
+// Instance method to check if the derivatives can be regenerated
+// They are rendered from the original, which photos uploaded before
+// originals were kept, and copies of another user's photos, do not have
+photoSchema.methods.canRerender = function() {
+  return Boolean(this.originalKey);
+};
+
+// Instance method to check if a user may download the untouched original
+// The owner always can; other users only when downloads are allowed and the
+// original reveals nothing the published image hides (watermark, metadata
+// or location removed by the privacy policy)
+photoSchema.methods.canDownloadOriginal = function(user, owner) {
+  if (!this.originalKey || !user) {
+    return false;
+  }
+  if (this.user.toString() === user._id.toString()) {
+    return true;
+  }
+
+  const privacy = this.getPrivacyPolicy(owner);
+  return Boolean(this.settings.allowDownload) && !this.getWatermark() &&
+    privacy.metadata === 'all' && privacy.gps === 'keep';
+};
+
 // Instance method to get R2 key for thumbnail
 photoSchema.methods.getThumbnailKey = function() {
-  // Assuming thumbnail follows the pattern: original_key_thumb.jpg
-  return this.publicId.replace('.jpg', '_thumb.jpg');
+  // Thumbnail follows the pattern: original_key_thumb.{jpg,png}
+  return this.publicId.replace(/(\.\w+)$/, '_thumb$1');
+};
+
+// Instance method to get the key prefix shared by the photo's files
+photoSchema.methods.getKeyBase = function() {
+  return this.publicId.replace(/\.\w+$/, '');
+};
+
+// Instance method to get the R2 keys of every stored file of the photo
+photoSchema.methods.getStorageKeys = function() {
+  const keys = [this.publicId, this.getThumbnailKey()];
+
+  if (this.originalKey) {
+    keys.push(this.originalKey);
+  }
+  (this.formats || []).forEach(format => keys.push(format.key));
+  (this.variants || []).forEach(variant => keys.push(variant.key));
+
+  return [...new Set(keys)];
 };
 
 // Instance method to get CDN URL with transformations
@@ -318,21 +490,82 @@ photoSchema.methods.getCDNUrl = function(transformations = {}) {
     return this.url;
   }
 
-  // For R2, you can use Cloudflare Images or custom transformations
-  // This is a basic implementation
-  const params = new URLSearchParams();
-  
-  if (transformations.width) params.append('width', transformations.width);
-  if (transformations.height) params.append('height', transformations.height);
-  if (transformations.quality) params.append('quality', transformations.quality);
-  if (transformations.format) params.append('format', transformations.format);
-  
-  return params.toString() ? `${this.url}?${params.toString()}` : this.url;
+  // Served by the /img transform route
+  return buildImageUrl(this.publicId, transformations) || this.url;
+};
+
+// Static method to build a srcset from the variants of one format
+// Variants are stored fallback format first, which is the default
+photoSchema.statics.buildSrcset = function(variants, format) {
+  const srcsetFormat = format || (variants[0] && variants[0].format);
+
+  return variants
+    .filter(variant => variant.format === srcsetFormat)
+    .map(variant => `${variant.url} ${variant.width}w`)
+    .join(', ') || null;
+};
+
+// Static method to find a user's photos that look like a perceptual hash
+// Only photos sharing a nearby hash band are loaded (see getSimilarHashBands)
+// Returns [{ photo, distance }], closest first
+photoSchema.statics.findSimilar = async function(userId, hash, threshold = getDuplicateThreshold()) {
+  threshold = Math.min(threshold, MAX_DUPLICATE_THRESHOLD);
+
+  const photos = await this.find({ user: userId, perceptualHashBands: { $in: getSimilarHashBands(hash, threshold) } })
+    .select('title url thumbnail portfolio perceptualHash createdAt');
+
+  return photos
+    .map(photo => ({ photo, distance: hammingDistance(hash, photo.perceptualHash) }))
+    .filter(match => match.distance <= threshold)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+// Static method to group a user's photos into clusters of likely duplicates
+// Clusters are built from the hashes alone, largest first, and only the
+// photos of the requested page of clusters are loaded, each cluster listing
+// them oldest first. Returns { clusters, total, duplicateCount }
+photoSchema.statics.findDuplicateClusters = async function(userId, threshold = getDuplicateThreshold(), { page = 1, limit = 20 } = {}) {
+  const hashes = await this.find({ user: userId, perceptualHash: { $exists: true } })
+    .select('_id perceptualHash createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const clusters = clusterByHash(hashes, photo => photo.perceptualHash, Math.min(threshold, MAX_DUPLICATE_THRESHOLD))
+    .sort((a, b) => b.length - a.length);
+  const pageClusters = clusters.slice((page - 1) * limit, page * limit);
+
+  const photos = await this.find({ _id: { $in: pageClusters.flat().map(photo => photo._id) } })
+    .populate('portfolio', 'title slug');
+  const photosById = new Map(photos.map(photo => [photo._id.toString(), photo]));
+
+  return {
+    clusters: pageClusters
+      .map(cluster => cluster.map(photo => photosById.get(photo._id.toString())).filter(Boolean))
+      .filter(cluster => cluster.length > 1),
+    total: clusters.length,
+    duplicateCount: clusters.reduce((sum, cluster) => sum + cluster.length - 1, 0)
+  };
+};
+
+// Static method to find the placeholder of a user's photo from one of its URLs
+// Used for portfolio covers, which reference photos by URL
+photoSchema.statics.findPlaceholderByUrl = async function(userId, url) {
+  const photo = await this.findOne({
+    user: userId,
+    $or: [
+      { url },
+      { thumbnail: url },
+      { 'formats.url': url },
+      { 'variants.url': url }
+    ]
+  }).select('placeholder');
+
+  return (photo && photo.placeholder && photo.placeholder.blurhash) ? photo.placeholder : null;
 };
 
 // Static method to find public photos
 photoSchema.statics.findPublic = function() {
-  return this.find({ isPublic: true }).populate('user', 'username avatar');
+  return this.find({ isPublic: true }).populate('user', 'username avatar avatarPlaceholder');
 };
 
 // Static method to find by portfolio
@@ -350,23 +583,54 @@ photoSchema.statics.findByPortfolio = function(portfolioId, options = {}) {
   }
 
   return this.find(query)
-    .populate('user', 'username avatar')
+    .populate('user', 'username avatar avatarPlaceholder')
     .sort(sort)
     .limit(limit)
     .skip(skip);
 };
 
-// Static method to search photos
-photoSchema.statics.search = function(query, options = {}) {
+const DEFAULT_COLOR_TOLERANCE = 15;
+
+// Filter for photos with a palette color within `tolerance` (CIE76 deltaE)
+// of an [r, g, b] color. The bounding box around the color can use the
+// colorPalette.lab index; $expr then checks the actual distance
+const buildColorQuery = (color, tolerance) => {
+  const [l, a, b] = rgbToLab(color);
+  // Palette colors without Lab values are treated as out of range
+  const squared = (field, value) => ({
+    $pow: [{ $subtract: [{ $ifNull: [`$$color.lab.${field}`, 1000] }, value] }, 2]
+  });
+
+  return {
+    colorPalette: {
+      $elemMatch: {
+        'lab.l': { $gte: l - tolerance, $lte: l + tolerance },
+        'lab.a': { $gte: a - tolerance, $lte: a + tolerance },
+        'lab.b': { $gte: b - tolerance, $lte: b + tolerance }
+      }
+    },
+    $expr: {
+      $anyElementTrue: [{
+        $map: {
+          input: { $ifNull: ['$colorPalette', []] },
+          as: 'color',
+          in: { $lte: [{ $add: [squared('l', l), squared('a', a), squared('b', b)] }, tolerance * tolerance] }
+        }
+      }]
+    }
+  };
+};
+
+// Static method to build the filter used by search (also for counting results)
+photoSchema.statics.buildSearchQuery = function(query, options = {}) {
   const {
     category,
     tags,
     user,
     portfolio,
     isPublic = true,
-    limit = 20,
-    skip = 0,
-    sort = { createdAt: -1 }
+    color,
+    tolerance = DEFAULT_COLOR_TOLERANCE
   } = options;
 
   const searchQuery = { isPublic };
@@ -395,8 +659,27 @@ photoSchema.statics.search = function(query, options = {}) {
     searchQuery.portfolio = portfolio;
   }
 
+  if (color) {
+    Object.assign(searchQuery, buildColorQuery(color, tolerance));
+  }
+
+  return searchQuery;
+};
+
+// Static method to search photos
+// options.color ([r, g, b]) matches photos with a palette color within
+// options.tolerance (CIE76 deltaE) of it
+photoSchema.statics.search = function(query, options = {}) {
+  const {
+    limit = 20,
+    skip = 0,
+    sort = { createdAt: -1 }
+  } = options;
+
+  const searchQuery = this.buildSearchQuery(query, options);
+
   return this.find(searchQuery)
-    .populate('user', 'username avatar')
+    .populate('user', 'username avatar avatarPlaceholder')
     .populate('portfolio', 'title slug')
     .sort(sort)
     .limit(limit)
@@ -406,7 +689,7 @@ photoSchema.statics.search = function(query, options = {}) {
 // Static method to get featured photos
 photoSchema.statics.findFeatured = function(limit = 10) {
   return this.find({ isPublic: true, isFeatured: true })
-    .populate('user', 'username avatar')
+    .populate('user', 'username avatar avatarPlaceholder')
     .populate('portfolio', 'title slug')
     .sort({ 'analytics.views': -1 })
     .limit(limit);
@@ -421,7 +704,7 @@ photoSchema.statics.findTrending = function(limit = 10, days = 7) {
     isPublic: true,
     createdAt: { $gte: date }
   })
-    .populate('user', 'username avatar')
+    .populate('user', 'username avatar avatarPlaceholder')
     .populate('portfolio', 'title slug')
     .sort({ 'analytics.views': -1 })
     .limit(limit);
@@ -433,8 +716,22 @@ photoSchema.statics.findByR2Key = function(key) {
 };
 
 // Static method to get photos by R2 keys (batch lookup)
+// Matches any stored file of a photo, including trashed photos, whose
+// files are kept until purged; thumbnail keys are matched through the
+// publicId they are derived from
 photoSchema.statics.findByR2Keys = function(keys) {
-  return this.find({ publicId: { $in: keys } });
+  const thumbnailSources = keys
+    .filter(key => /_thumb\.\w+$/.test(key))
+    .map(key => key.replace(/_thumb(\.\w+)$/, '$1'));
+
+  return this.find({
+    $or: [
+      { publicId: { $in: [...keys, ...thumbnailSources] } },
+      { originalKey: { $in: keys } },
+      { 'formats.key': { $in: keys } },
+      { 'variants.key': { $in: keys } }
+    ]
+  }).withDeleted();
 };
 
 module.exports = mongoose.model('Photo', photoSchema);
\ No newline at end of file
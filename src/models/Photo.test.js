@@ -0,0 +1,64 @@
+jest.mock('sharp', () => jest.fn());
+
+const mongoose = require('mongoose');
+const Photo = require('./Photo');
+const { getHashBands } = require('../utils/perceptualHash');
+
+// A query stand-in that resolves to `result` however it is chained
+const query = (result) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    sort: () => chain,
+    lean: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const userId = new mongoose.Types.ObjectId();
+
+const createPhoto = (perceptualHash) => new Photo({ user: userId, perceptualHash });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Photo.findSimilar', () => {
+  it('looks photos up by hash band and keeps those within the threshold', async() => {
+    const same = createPhoto('f0e1d2c3b4a59687');
+    const far = createPhoto('f0e1000000000000');
+    jest.spyOn(Photo, 'find').mockReturnValue(query([far, same]));
+
+    const matches = await Photo.findSimilar(userId, 'f0e1d2c3b4a59687', 8);
+
+    const [filter] = Photo.find.mock.calls[0];
+    expect(filter.perceptualHashBands.$in).toEqual(expect.arrayContaining(getHashBands('f0e1d2c3b4a59687')));
+    expect(matches).toEqual([{ photo: same, distance: 0 }]);
+  });
+});
+
+describe('Photo.findDuplicateClusters', () => {
+  it('clusters the hashes alone and loads only the requested page', async() => {
+    const hashes = [
+      { _id: new mongoose.Types.ObjectId(), perceptualHash: 'ffffffffffffffff' },
+      { _id: new mongoose.Types.ObjectId(), perceptualHash: '0000000000000000' },
+      { _id: new mongoose.Types.ObjectId(), perceptualHash: 'fffffffffffffffe' },
+      { _id: new mongoose.Types.ObjectId(), perceptualHash: '0000000000000001' },
+      { _id: new mongoose.Types.ObjectId(), perceptualHash: '0000000000000003' }
+    ];
+    const hashQuery = query(hashes);
+    const photos = [hashes[0], hashes[2]].map(hash => new Photo({ ...hash, user: userId }));
+    jest.spyOn(Photo, 'find')
+      .mockReturnValueOnce(hashQuery)
+      .mockReturnValueOnce(query(photos));
+
+    const result = await Photo.findDuplicateClusters(userId, 40, { page: 2, limit: 1 });
+
+    expect(hashQuery.select).toHaveBeenCalledWith('_id perceptualHash createdAt');
+    expect(Photo.find.mock.calls[1][0]).toEqual({ _id: { $in: [hashes[0]._id, hashes[2]._id] } });
+    expect(result.clusters).toEqual([photos]);
+    expect(result.total).toBe(2);
+    expect(result.duplicateCount).toBe(3);
+  });
+});
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { buildImageUrl } = require('../utils/imageTransform');
+const softDelete = require('../utils/softDelete');
 
 const portfolioSchema = new mongoose.Schema({
   user: {
@@ -36,6 +38,11 @@ const portfolioSchema = new mongoose.Schema({
     type: String, // R2 URL
     default: null
   },
+  // Copied from the photo used as cover (see Photo.findPlaceholderByUrl)
+  coverPhotoPlaceholder: {
+    blurhash: String,
+    lqip: String // base64 data URI
+  },
   layout: {
     type: {
       type: String,
@@ -182,6 +189,10 @@ portfolioSchema.index({ tags: 1 });
 portfolioSchema.index({ category: 1 });
 portfolioSchema.index({ 'analytics.totalViews': -1 });
 portfolioSchema.index({ 'r2.coverPhotoKey': 1 });
+portfolioSchema.index({ user: 1, deletedAt: -1 }); // Index for listing the trash
+
+// Trashed portfolios are hidden from queries until restored or purged
+portfolioSchema.plugin(softDelete);
 
 // Virtual for photo count
 portfolioSchema.virtual('photoCount', {
@@ -256,25 +267,20 @@ portfolioSchema.methods.getCoverPhotoCDNUrl = function(transformations = {}) {
     return this.coverPhoto;
   }
 
-  // For R2, you can use Cloudflare Images or custom transformations
-  const params = new URLSearchParams();
-  
-  if (transformations.width) params.append('width', transformations.width);
-  if (transformations.height) params.append('height', transformations.height);
-  if (transformations.quality) params.append('quality', transformations.quality);
-  if (transformations.format) params.append('format', transformations.format);
-  
-  return params.toString() ? `${this.coverPhoto}?${params.toString()}` : this.coverPhoto;
+  // Served by the /img transform route; returns the plain URL if the
+  // stored key is unknown
+  const key = this.r2 && this.r2.coverPhotoKey;
+  return (key && buildImageUrl(key, transformations)) || this.coverPhoto;
 };
 
 // Static method to find public portfolios
 portfolioSchema.statics.findPublic = function() {
-  return this.find({ isPublic: true }).populate('user', 'username avatar');
+  return this.find({ isPublic: true }).populate('user', 'username avatar avatarPlaceholder');
 };
 
 // Static method to find by slug
 portfolioSchema.statics.findBySlug = function(slug) {
-  return this.findOne({ slug }).populate('user', 'username avatar bio');
+  return this.findOne({ slug }).populate('user', 'username avatar avatarPlaceholder bio');
 };
 
 // Static method to search portfolios
@@ -312,26 +318,16 @@ portfolioSchema.statics.search = function(query, options = {}) {
   }
 
   return this.find(searchQuery)
-    .populate('user', 'username avatar')
+    .populate('user', 'username avatar avatarPlaceholder')
     .sort(sort)
     .limit(limit)
     .skip(skip);
 };
 
 // Static method to find portfolios by R2 cover photo keys
+// Includes trashed portfolios, whose files are kept until purged
 portfolioSchema.statics.findByCoverPhotoKeys = function(keys) {
-  return this.find({ 'r2.coverPhotoKey': { $in: keys } });
+  return this.find({ 'r2.coverPhotoKey': { $in: keys } }).withDeleted();
 };
 
-// Pre-remove middleware to clean up related data
-portfolioSchema.pre('remove', async function(next) {
-  try {
-    // Remove all photos in this portfolio
-    await this.model('Photo').deleteMany({ portfolio: this._id });
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
 module.exports = mongoose.model('Portfolio', portfolioSchema);
\ No newline at end of file
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { removeChunks } = require('../utils/chunkedUpload');
+
+// How long an upload session stays alive without receiving a chunk
+const SESSION_EXPIRE_MS = (parseInt(process.env.CHUNKED_UPLOAD_EXPIRE_HOURS, 10) || 24) * 60 * 60 * 1000;
+// How long a chunk write or finalize may hold the session lock
+const CHUNK_LOCK_MS = 60 * 1000;
+const PROCESSING_LOCK_MS = 10 * 60 * 1000;
+
+const getExpiryDate = () => new Date(Date.now() + SESSION_EXPIRE_MS);
+
+// Resumable chunked upload of a single photo
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Upload session must belong to a user']
+  },
+  portfolio: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: [true, 'Upload session must belong to a portfolio']
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number, // Declared total size in bytes
+    required: true,
+    min: 1
+  },
+  offset: {
+    type: Number, // Bytes received so far
+    default: 0
+  },
+  // Photo attributes applied when the upload is finalized
+  title: String,
+  description: String,
+  tags: [String],
+  category: String,
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'processing', 'completed'],
+    default: 'active'
+  },
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: getExpiryDate
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+uploadSessionSchema.index({ user: 1, status: 1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Filter matching a session nobody currently holds the lock on
+const unlockedFilter = () => ({
+  $or: [
+    { lockedUntil: null },
+    { lockedUntil: { $lt: new Date() } }
+  ]
+});
+
+// Instance method to check if the session has expired
+uploadSessionSchema.methods.isExpired = function() {
+  return this.expiresAt < new Date();
+};
+
+// Static method to lock a session for writing a chunk at the given offset
+// Returns null if the offset is stale or another chunk is being written
+uploadSessionSchema.statics.claimChunk = function(sessionId, offset) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      status: 'active',
+      offset,
+      expiresAt: { $gt: new Date() },
+      ...unlockedFilter()
+    },
+    { $set: { lockedUntil: new Date(Date.now() + CHUNK_LOCK_MS) } },
+    { new: true }
+  );
+};
+
+// Instance method to record a written chunk and release the lock
+// Each chunk also pushes back the session expiry
+uploadSessionSchema.methods.advanceOffset = function(length) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, offset: this.offset },
+    {
+      $inc: { offset: length },
+      $set: { lockedUntil: null, expiresAt: getExpiryDate() }
+    },
+    { new: true }
+  );
+};
+
+// Instance method to release the lock without advancing the offset
+uploadSessionSchema.methods.releaseLock = function() {
+  return this.constructor.updateOne({ _id: this._id }, { $set: { lockedUntil: null } });
+};
+
+// Static method to lock a fully received session for finalizing
+// Returns null if the session is incomplete, locked or already finalized
+uploadSessionSchema.statics.claimForProcessing = function(sessionId) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      status: 'active',
+      $expr: { $eq: ['$offset', '$size'] },
+      expiresAt: { $gt: new Date() },
+      ...unlockedFilter()
+    },
+    {
+      $set: {
+        status: 'processing',
+        lockedUntil: new Date(Date.now() + PROCESSING_LOCK_MS)
+      }
+    },
+    { new: true }
+  );
+};
+
+// Instance method to put a session back after failed processing
+uploadSessionSchema.methods.resetProcessing = function() {
+  return this.constructor.updateOne(
+    { _id: this._id, status: 'processing' },
+    { $set: { status: 'active', lockedUntil: null } }
+  );
+};
+
+// Instance method to mark the session as finalized into a photo
+uploadSessionSchema.methods.markCompleted = async function(photoId) {
+  this.status = 'completed';
+  this.photo = photoId;
+  this.lockedUntil = null;
+  await this.save();
+  await removeChunks(this._id);
+};
+
+// Static method to remove expired sessions and their data
+// Sessions stuck in processing are only removed once their lock has lapsed
+uploadSessionSchema.statics.cleanupExpired = async function() {
+  const sessions = await this.find({
+    expiresAt: { $lt: new Date() },
+    $or: [
+      { status: { $ne: 'processing' } },
+      { lockedUntil: { $lt: new Date() } }
+    ]
+  }).select('_id');
+
+  for (const session of sessions) {
+    await removeChunks(session._id);
+  }
+
+  await this.deleteMany({ _id: { $in: sessions.map(session => session._id) } });
+
+  return sessions.length;
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
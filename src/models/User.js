@@ -1,6 +1,54 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const {
+  generateSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+const { buildImageUrl } = require('../utils/imageTransform');
+const { METADATA_POLICIES, GPS_POLICIES } = require('../utils/exif');
+
+// Hash a token for storage
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Hash password with cost of 12
+const hashPassword = async(password) => {
+  const salt = await bcrypt.genSalt(12);
+  return bcrypt.hash(password, salt);
+};
+
+// Parse a duration like '30d', '12h' or '15m' into milliseconds
+const durationToMs = (duration) => {
+  const match = /^(\d+)([smhd])$/.exec(duration);
+  if (!match) {
+    return 30 * 24 * 60 * 60 * 1000; // 30 days
+  }
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return parseInt(match[1], 10) * units[match[2]];
+};
+
+// Login brute-force protection settings
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const LOGIN_LOCK_DURATION_MS = parseInt(process.env.LOGIN_LOCK_DURATION_MS, 10) || 15 * 60 * 1000; // 15 minutes
+const LOGIN_DELAY_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS, 10) || 3;
+const LOGIN_MAX_DELAY_MS = 60 * 1000; // 1 minute
+
+// Sign a refresh token for a session
+const signRefreshToken = (userId, sessionId) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_REFRESH_SECRET,
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -44,6 +92,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  avatarPlaceholder: {
+    blurhash: String,
+    lqip: String // base64 data URI
+  },
   website: {
     type: String,
     trim: true,
@@ -93,6 +145,19 @@ const userSchema = new mongoose.Schema({
     publicProfile: {
       type: Boolean,
       default: true
+    },
+    // Default metadata privacy for uploaded photos (see utils/exif)
+    privacy: {
+      metadata: {
+        type: String,
+        enum: METADATA_POLICIES,
+        default: 'all'
+      },
+      gps: {
+        type: String,
+        enum: GPS_POLICIES,
+        default: 'remove'
+      }
     }
   },
   stats: {
@@ -107,18 +172,76 @@ const userSchema = new mongoose.Schema({
     totalLikes: {
       type: Number,
       default: 0
+    },
+    storageUsed: {
+      type: Number, // Bytes stored, counted against the plan quota (see utils/storageQuota)
+      default: 0
     }
   },
   lastLogin: {
     type: Date
   },
+  // Brute-force protection for login
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockUntil: Date
+  },
+  // Password reset (only the SHA-256 hash of the token is stored)
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String, // Encrypted TOTP secret
+      select: false
+    },
+    pendingSecret: {
+      type: String, // Encrypted secret awaiting confirmation
+      select: false
+    },
+    lastUsedStep: {
+      type: Number, // Last accepted TOTP time step, prevents code replay
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
+  // Refresh token sessions (one per signed-in device)
+  // Only the SHA-256 hash of the current refresh token is stored; it is
+  // replaced on every refresh, so presenting an older token means reuse
   refreshTokens: [{
-    token: String,
+    tokenHash: String,
+    userAgent: String,
+    ip: String,
     createdAt: {
       type: Date,
-      default: Date.now,
-      expires: 2592000 // 30 days
-    }
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: Date
   }],
   // Social features
   following: [{
@@ -137,6 +260,9 @@ const userSchema = new mongoose.Schema({
   // R2 specific fields for avatar
   r2: {
     avatarKey: String, // R2 key for avatar
+    avatarSize: Number, // Bytes
+    watermarkLogoKey: String, // R2 key for the logo drawn by photo watermarks
+    watermarkLogoSize: Number, // Bytes
     bucket: {
       type: String,
       default: process.env.R2_BUCKET_NAME
@@ -157,6 +283,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ 'subscription.plan': 1 });
 userSchema.index({ 'r2.avatarKey': 1 });
+userSchema.index({ 'r2.watermarkLogoKey': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -182,9 +309,7 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
-    // Hash password with cost of 12
-    const salt = await bcrypt.genSalt(12);
-    this.password = await bcrypt.hash(this.password, salt);
+    this.password = await hashPassword(this.password);
     next();
   } catch (error) {
     next(error);
@@ -197,13 +322,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 };
 
 // Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// sessionId ties the access token to a refresh token session so that
+// revoking the session also revokes the access token
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id,
       username: this.username,
       email: this.email,
-      subscription: this.subscription.plan
+      subscription: this.subscription.plan,
+      ...(sessionId && { sid: sessionId })
     },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE || '7d' }
@@ -211,25 +339,261 @@ userSchema.methods.generateAuthToken = function() {
 };
 
 // Instance method to generate refresh token
-userSchema.methods.generateRefreshToken = function() {
-  const refreshToken = jwt.sign(
-    { id: this._id },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
-  );
-  
-  // Store refresh token in user document
-  this.refreshTokens.push({ token: refreshToken });
+// Starts a new session; meta holds the device info ({ userAgent, ip })
+userSchema.methods.generateRefreshToken = function(meta = {}) {
+  const now = new Date();
+
+  // Drop expired sessions
+  this.refreshTokens = this.refreshTokens.filter(rt => !rt.expiresAt || rt.expiresAt > now);
+
+  this.refreshTokens.push({
+    userAgent: meta.userAgent,
+    ip: meta.ip,
+    expiresAt: new Date(now.getTime() + durationToMs(process.env.JWT_REFRESH_EXPIRE || '30d'))
+  });
+
+  const session = this.refreshTokens[this.refreshTokens.length - 1];
+  const refreshToken = signRefreshToken(this._id, session._id);
+
+  // Store refresh token hash in user document
+  session.tokenHash = hashToken(refreshToken);
   
   return refreshToken;
 };
 
+// Instance method to start a session and generate both tokens
+userSchema.methods.issueTokens = function(meta = {}) {
+  const refreshToken = this.generateRefreshToken(meta);
+  const session = this.refreshTokens[this.refreshTokens.length - 1];
+
+  return {
+    token: this.generateAuthToken(session._id),
+    refreshToken
+  };
+};
+
+// Instance method to find the session a refresh token belongs to
+userSchema.methods.findRefreshSession = function(sessionId) {
+  return this.refreshTokens.find(rt => rt._id.toString() === String(sessionId)) || null;
+};
+
+// Instance method to check if a refresh token is the current one for its session
+userSchema.methods.isCurrentRefreshToken = function(session, token) {
+  return Boolean(session.tokenHash) && session.tokenHash === hashToken(token);
+};
+
+// Instance method to rotate the refresh token of a session
+// The swap is atomic: returns null if the session was rotated or revoked concurrently
+userSchema.methods.rotateRefreshToken = async function(session, meta = {}) {
+  const refreshToken = signRefreshToken(this._id, session._id);
+
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      refreshTokens: { $elemMatch: { _id: session._id, tokenHash: session.tokenHash } }
+    },
+    {
+      $set: {
+        'refreshTokens.$.tokenHash': hashToken(refreshToken),
+        'refreshTokens.$.lastUsedAt': new Date(),
+        'refreshTokens.$.userAgent': meta.userAgent || session.userAgent,
+        'refreshTokens.$.ip': meta.ip || session.ip
+      }
+    }
+  );
+
+  return result.modifiedCount ? refreshToken : null;
+};
+
+// Instance method to revoke a session (and every token issued for it)
+userSchema.methods.revokeSession = function(sessionId) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { refreshTokens: { _id: sessionId } } }
+  );
+};
+
 // Instance method to remove refresh token
 userSchema.methods.removeRefreshToken = function(token) {
-  this.refreshTokens = this.refreshTokens.filter(rt => rt.token !== token);
+  const tokenHash = hashToken(token);
+  this.refreshTokens = this.refreshTokens.filter(rt => rt.tokenHash !== tokenHash);
   return this.save();
 };
 
+// Instance method to check if login is currently blocked for this account
+// Returns null, or { locked, retryAfter } where retryAfter is in seconds.
+// After LOGIN_DELAY_AFTER_ATTEMPTS failures each further attempt must wait
+// twice as long as the previous one; LOGIN_MAX_ATTEMPTS failures lock the
+// account for LOGIN_LOCK_DURATION_MS
+userSchema.methods.getLoginBlock = function() {
+  const now = Date.now();
+  const { failedAttempts = 0, lastFailedAt, lockUntil } = this.loginSecurity || {};
+
+  if (lockUntil && lockUntil.getTime() > now) {
+    return {
+      locked: true,
+      lockedUntil: lockUntil,
+      retryAfter: Math.ceil((lockUntil.getTime() - now) / 1000)
+    };
+  }
+
+  if (failedAttempts >= LOGIN_DELAY_AFTER_ATTEMPTS && lastFailedAt) {
+    const delay = Math.min(
+      1000 * 2 ** (failedAttempts - LOGIN_DELAY_AFTER_ATTEMPTS),
+      LOGIN_MAX_DELAY_MS
+    );
+    const waitUntil = lastFailedAt.getTime() + delay;
+
+    if (waitUntil > now) {
+      return {
+        locked: false,
+        retryAfter: Math.ceil((waitUntil - now) / 1000)
+      };
+    }
+  }
+
+  return null;
+};
+
+// Instance method to record a failed login against this account
+// The counter is updated atomically so parallel attempts are all counted
+userSchema.methods.registerFailedLogin = async function() {
+  const now = new Date();
+
+  // Start a fresh count once a previous lock has expired
+  const lockExpired = this.loginSecurity && this.loginSecurity.lockUntil &&
+    this.loginSecurity.lockUntil <= now;
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    lockExpired
+      ? { $set: { 'loginSecurity.failedAttempts': 1, 'loginSecurity.lastFailedAt': now }, $unset: { 'loginSecurity.lockUntil': 1 } }
+      : { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+    { new: true }
+  ).select('loginSecurity');
+
+  if (updated.loginSecurity.failedAttempts >= LOGIN_MAX_ATTEMPTS) {
+    updated.loginSecurity.lockUntil = new Date(now.getTime() + LOGIN_LOCK_DURATION_MS);
+    updated.loginSecurity.failedAttempts = 0;
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { 'loginSecurity.lockUntil': updated.loginSecurity.lockUntil, 'loginSecurity.failedAttempts': 0 } }
+    );
+  }
+
+  this.loginSecurity = updated.loginSecurity;
+  return this.getLoginBlock();
+};
+
+// Instance method to clear failed login state after a successful login
+userSchema.methods.resetFailedLogins = function() {
+  this.loginSecurity.failedAttempts = 0;
+  this.loginSecurity.lastFailedAt = undefined;
+  this.loginSecurity.lockUntil = undefined;
+};
+
+// Instance method to generate a single-use password reset token
+// Returns the raw token; only its hash is stored on the user
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Instance method to start two-factor enrollment
+// Returns the raw base32 secret; it only becomes active once confirmed
+userSchema.methods.startTwoFactorSetup = function() {
+  const secret = generateSecret();
+  this.twoFactor.pendingSecret = encryptSecret(secret);
+  return secret;
+};
+
+// Instance method to confirm two-factor enrollment with a code from the app
+// Returns the one-time recovery codes, or null if the code is invalid
+// Requires +twoFactor.pendingSecret to be selected
+userSchema.methods.confirmTwoFactorSetup = function(code) {
+  if (!this.twoFactor.pendingSecret) {
+    return null;
+  }
+
+  const step = verifyTotp(decryptSecret(this.twoFactor.pendingSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+
+  return this.generateRecoveryCodes();
+};
+
+// Instance method to verify and consume a TOTP code for login
+// The time step is recorded with a conditional update, so concurrent
+// requests cannot both log in with the same code
+// Requires +twoFactor.secret and +twoFactor.lastUsedStep to be selected
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptSecret(this.twoFactor.secret), code, {
+    lastUsedStep: this.twoFactor.lastUsedStep ?? -1
+  });
+  if (step === null) {
+    return false;
+  }
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Instance method to replace recovery codes
+// Returns the raw codes; only their hashes are stored
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = generateRecoveryCodes();
+
+  this.twoFactor.recoveryCodes = codes.map(code => ({
+    codeHash: hashToken(normalizeRecoveryCode(code))
+  }));
+
+  return codes;
+};
+
+// Instance method to consume a one-time recovery code
+// The code is marked as used with a conditional update, so concurrent
+// requests cannot both log in with it
+userSchema.methods.useRecoveryCode = async function(code) {
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } } },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Instance method to turn off two-factor authentication
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = undefined;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = undefined;
+  this.twoFactor.recoveryCodes = undefined;
+};
+
 // Instance method to check if user can upload more photos
 userSchema.methods.canUploadPhoto = function() {
   const planLimits = {
@@ -248,15 +612,10 @@ userSchema.methods.getAvatarCDNUrl = function(transformations = {}) {
     return this.avatar;
   }
 
-  // For R2, you can use Cloudflare Images or custom transformations
-  const params = new URLSearchParams();
-  
-  if (transformations.width) params.append('width', transformations.width);
-  if (transformations.height) params.append('height', transformations.height);
-  if (transformations.quality) params.append('quality', transformations.quality);
-  if (transformations.format) params.append('format', transformations.format);
-  
-  return params.toString() ? `${this.avatar}?${params.toString()}` : this.avatar;
+  // Served by the /img transform route; returns the plain URL if the
+  // stored key is unknown
+  const key = this.r2 && this.r2.avatarKey;
+  return (key && buildImageUrl(key, transformations)) || this.avatar;
 };
 
 // Static method to find user by email or username
@@ -269,33 +628,33 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
   });
 };
 
+// Static method to reset the password with an unexpired reset token
+// The token is consumed and every session signed out in the same update, so
+// a token can only be used once; returns null if the token is invalid
+userSchema.statics.resetPasswordWithToken = async function(token, newPassword) {
+  const password = await hashPassword(newPassword);
+
+  return this.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    {
+      $set: { password, refreshTokens: [] },
+      $unset: { passwordResetToken: 1, passwordResetExpires: 1 }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
 // Static method to find users by R2 avatar keys
 userSchema.statics.findByAvatarKeys = function(keys) {
   return this.find({ 'r2.avatarKey': { $in: keys } });
 };
 
-// Pre-remove middleware to clean up related data
-userSchema.pre('remove', async function(next) {
-  try {
-    // Remove user's portfolios and photos
-    await this.model('Portfolio').deleteMany({ user: this._id });
-    await this.model('Photo').deleteMany({ user: this._id });
-    
-    // Remove user from following/followers lists
-    await this.model('User').updateMany(
-      { following: this._id },
-      { $pull: { following: this._id } }
-    );
-    
-    await this.model('User').updateMany(
-      { followers: this._id },
-      { $pull: { followers: this._id } }
-    );
-    
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
+// Static method to find users by R2 watermark logo keys
+userSchema.statics.findByWatermarkLogoKeys = function(keys) {
+  return this.find({ 'r2.watermarkLogoKey': { $in: keys } });
+};
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
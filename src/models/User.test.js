@@ -0,0 +1,78 @@
+jest.mock('sharp', () => jest.fn());
+
+const User = require('./User');
+const { generateSecret, generateTotp, encryptSecret } = require('../utils/totp');
+
+const createTwoFactorUser = (secret) => new User({
+  username: 'owner',
+  email: 'owner@example.com',
+  twoFactor: { enabled: true, secret: encryptSecret(secret), lastUsedStep: -1 }
+});
+
+const { TWO_FACTOR_ENCRYPTION_KEY } = process.env;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-two-factor-key';
+});
+
+afterAll(() => {
+  if (TWO_FACTOR_ENCRYPTION_KEY === undefined) {
+    delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  } else {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = TWO_FACTOR_ENCRYPTION_KEY;
+  }
+});
+
+describe('verifyTwoFactorCode', () => {
+  it('records the step only if no later or equal step was used', async() => {
+    const secret = generateSecret();
+    const user = createTwoFactorUser(secret);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(user.verifyTwoFactorCode(generateTotp(secret))).resolves.toBe(true);
+
+    const [filter, update] = User.updateOne.mock.calls[0];
+    const step = update.$set['twoFactor.lastUsedStep'];
+    expect(filter).toEqual({ _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } });
+  });
+
+  it('rejects a code another request consumed first', async() => {
+    const secret = generateSecret();
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(createTwoFactorUser(secret).verifyTwoFactorCode(generateTotp(secret))).resolves.toBe(false);
+  });
+
+  it('rejects an invalid code without writing', async() => {
+    jest.spyOn(User, 'updateOne');
+    const user = createTwoFactorUser(generateSecret());
+
+    await expect(user.verifyTwoFactorCode('000000x')).resolves.toBe(false);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('useRecoveryCode', () => {
+  it('marks an unused matching code as used in one conditional update', async() => {
+    const user = new User({ username: 'owner', email: 'owner@example.com' });
+    const [code] = user.generateRecoveryCodes();
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(user.useRecoveryCode(code.toUpperCase())).resolves.toBe(true);
+
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter).toEqual({
+      _id: user._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { codeHash: user.twoFactor.recoveryCodes[0].codeHash, usedAt: null } }
+    });
+    expect(update.$set['twoFactor.recoveryCodes.$.usedAt']).toBeInstanceOf(Date);
+  });
+
+  it('rejects a code that is unknown or already used', async() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const user = new User({ username: 'owner', email: 'owner@example.com' });
+
+    await expect(user.useRecoveryCode('abcde-12345')).resolves.toBe(false);
+  });
+});
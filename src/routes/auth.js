@@ -1,13 +1,175 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin, handleValidationErrors } = require('../middleware/validation');
-const { generateToken, generateRefreshToken, setTokenCookie } = require('../utils/auth');
+const LoginAttempt = require('../models/LoginAttempt');
+const { protect, createRateLimit } = require('../middleware/auth');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateObjectId,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  handleValidationErrors
+} = require('../middleware/validation');
+const {
+  setTokenCookie,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  getSessionInfo
+} = require('../utils/auth');
+const { buildOtpauthUrl } = require('../utils/totp');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/email');
+const { deleteUser } = require('../utils/deletion');
 
 const router = express.Router();
 
+// Limit password reset requests per email address
+const forgotPasswordLimit = createRateLimit(
+  parseInt(process.env.PASSWORD_RESET_WINDOW_MS, 10) || 60 * 60 * 1000, // 1 hour
+  parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS, 10) || 3,
+  'Too many password reset requests for this email, please try again later',
+  (req) => `forgot-password_${req.body.email}`
+);
+
+// Limit login attempts per IP and identifier
+const loginLimit = createRateLimit(
+  parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000, // 15 minutes
+  parseInt(process.env.LOGIN_RATE_LIMIT_MAX_REQUESTS, 10) || 10,
+  'Too many login attempts, please try again later',
+  (req) => `login_${req.ip}_${String(req.body.identifier || req.body.challengeToken).toLowerCase()}`
+);
+
+// Limit verification email requests per IP and email address
+// Applied after validation has normalized the email, so differently
+// written forms of an address share one limit
+const resendVerificationLimit = createRateLimit(
+  parseInt(process.env.RESEND_VERIFICATION_WINDOW_MS, 10) || 60 * 60 * 1000, // 1 hour
+  parseInt(process.env.RESEND_VERIFICATION_MAX_REQUESTS, 10) || 3,
+  'Too many verification email requests, please try again later',
+  (req) => `resend-verification_${req.ip}_${req.body.email}`
+);
+
+// Respond to a login attempt on a locked or throttled account
+const sendLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+
+  if (block.locked) {
+    return res.status(423).json({
+      success: false,
+      message: `Account temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(block.retryAfter / 60)} minute(s)`,
+      data: {
+        locked: true,
+        lockedUntil: block.lockedUntil,
+        retryAfter: block.retryAfter
+      }
+    });
+  }
+
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Try again in ${block.retryAfter} second(s)`,
+    data: {
+      locked: false,
+      retryAfter: block.retryAfter
+    }
+  });
+};
+
+// Finish a successful login: start a session and send the tokens
+const completeLogin = async(user, req, res) => {
+  // Update last login
+  user.lastLogin = new Date();
+  user.resetFailedLogins();
+
+  // Generate tokens
+  const { token, refreshToken } = user.issueTokens(getSessionInfo(req));
+
+  // Save refresh token
+  await user.save();
+
+  // Set token cookie
+  setTokenCookie(res, token);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        avatar: user.avatar,
+        subscription: user.subscription,
+        isVerified: user.isVerified,
+        stats: user.stats
+      },
+      token,
+      refreshToken
+    }
+  });
+};
+
+// Issue a verification token and email it to the user
+// Mail failures are logged rather than failing the calling request
+const sendVerification = async(user) => {
+  try {
+    const verificationToken = generateEmailVerificationToken(user);
+    await sendVerificationEmail(user, verificationToken);
+    return true;
+  } catch (error) {
+    console.error('Verification email error:', error.message);
+    return false;
+  }
+};
+
+// Mark the user referenced by a verification token as verified
+const verifyEmail = async(token, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(token);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.name === 'TokenExpiredError'
+          ? 'Verification link has expired'
+          : 'Invalid verification link'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification link'
+      });
+    }
+
+    if (!user.isVerified) {
+      user.isVerified = true;
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        isVerified: true
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -52,12 +214,14 @@ router.post('/register', validateUserRegistration, async (req, res, next) => {
     await user.save();
 
     // Generate tokens
-    const token = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
+    const { token, refreshToken } = user.issueTokens(getSessionInfo(req));
 
     // Save refresh token
     await user.save();
 
+    // Send email verification link
+    const verificationEmailSent = await sendVerification(user);
+
     // Set token cookie
     setTokenCookie(res, token);
 
@@ -65,6 +229,7 @@ router.post('/register', validateUserRegistration, async (req, res, next) => {
       success: true,
       message: 'User registered successfully',
       data: {
+        verificationEmailSent,
         user: {
           id: user._id,
           username: user.username,
@@ -87,7 +252,7 @@ router.post('/register', validateUserRegistration, async (req, res, next) => {
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
-router.post('/login', validateUserLogin, async (req, res, next) => {
+router.post('/login', validateUserLogin, loginLimit, async(req, res, next) => {
   try {
     const { identifier, password } = req.body;
 
@@ -95,6 +260,8 @@ router.post('/login', validateUserLogin, async (req, res, next) => {
     const user = await User.findByEmailOrUsername(identifier).select('+password');
 
     if (!user) {
+      await LoginAttempt.record(req, { identifier, reason: 'unknown_user' });
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -103,55 +270,120 @@ router.post('/login', validateUserLogin, async (req, res, next) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await LoginAttempt.record(req, { identifier, user, reason: 'deactivated' });
+
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated'
       });
     }
 
+    // Refuse to check the password while the account is locked or throttled
+    const loginBlock = user.getLoginBlock();
+
+    if (loginBlock) {
+      await LoginAttempt.record(req, {
+        identifier,
+        user,
+        reason: loginBlock.locked ? 'account_locked' : 'throttled'
+      });
+
+      return sendLoginBlocked(res, loginBlock);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
+      const block = await user.registerFailedLogin();
+      await LoginAttempt.record(req, { identifier, user, reason: 'invalid_password' });
+
+      if (block && block.locked) {
+        return sendLoginBlocked(res, block);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Require the second step when two-factor authentication is enabled
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallengeToken(user)
+        }
+      });
+    }
 
-    // Generate tokens
-    const token = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
+    await completeLogin(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Save refresh token
-    await user.save();
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+router.post('/login/2fa', validateTwoFactorLogin, loginLimit, async(req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    // Set token cookie
-    setTokenCookie(res, token);
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired, please log in again'
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          avatar: user.avatar,
-          subscription: user.subscription,
-          isVerified: user.isVerified,
-          stats: user.stats
-        },
-        token,
-        refreshToken
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const loginBlock = user.getLoginBlock();
+
+    if (loginBlock) {
+      await LoginAttempt.record(req, {
+        user,
+        reason: loginBlock.locked ? 'account_locked' : 'throttled'
+      });
+
+      return sendLoginBlocked(res, loginBlock);
+    }
+
+    // Codes are consumed in the database, not through completeLogin's save
+    const isCodeValid = code
+      ? await user.verifyTwoFactorCode(code)
+      : await user.useRecoveryCode(recoveryCode);
+
+    if (!isCodeValid) {
+      const block = await user.registerFailedLogin();
+      await LoginAttempt.record(req, { user, reason: 'invalid_two_factor' });
+
+      if (block && block.locked) {
+        return sendLoginBlocked(res, block);
       }
-    });
+
+      return res.status(401).json({
+        success: false,
+        message: code ? 'Invalid authentication code' : 'Invalid recovery code'
+      });
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
     next(error);
   }
@@ -167,6 +399,9 @@ router.post('/logout', protect, async (req, res, next) => {
     if (refreshToken) {
       // Remove refresh token from user
       await req.user.removeRefreshToken(refreshToken);
+    } else if (req.sessionId) {
+      // End the session the access token belongs to
+      await req.user.revokeSession(req.sessionId);
     }
 
     // Clear token cookie
@@ -197,31 +432,48 @@ router.post('/refresh', [
     // Find user
     const user = await User.findById(decoded.id);
 
-    if (!user) {
+    if (!user || !user.isActive) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    // Check if refresh token exists in user's tokens
-    const tokenExists = user.refreshTokens.some(rt => rt.token === refreshToken);
+    // Check if the session still exists
+    const session = user.findRefreshSession(decoded.sid);
 
-    if (!tokenExists) {
+    if (!session) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    // Generate new tokens
-    const newToken = user.generateAuthToken();
-    const newRefreshToken = user.generateRefreshToken();
+    // A valid token that is no longer current for its session has already
+    // been rotated, so it was reused: revoke the whole session
+    if (!user.isCurrentRefreshToken(session, refreshToken)) {
+      await user.revokeSession(session._id);
 
-    // Remove old refresh token and add new one
-    await user.removeRefreshToken(refreshToken);
-    user.refreshTokens.push({ token: newRefreshToken });
-    await user.save();
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected, session revoked'
+      });
+    }
+
+    // Rotate refresh token
+    const newRefreshToken = await user.rotateRefreshToken(session, getSessionInfo(req));
+
+    if (!newRefreshToken) {
+      // Another request rotated this token first
+      await user.revokeSession(session._id);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected, session revoked'
+      });
+    }
+
+    const newToken = user.generateAuthToken(session._id);
 
     // Set new token cookie
     setTokenCookie(res, newToken);
@@ -239,6 +491,125 @@ router.post('/refresh', [
   }
 });
 
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async(req, res, next) => {
+  try {
+    const now = new Date();
+
+    const sessions = req.user.refreshTokens
+      .filter(rt => rt.tokenHash && (!rt.expiresAt || rt.expiresAt > now))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(rt => ({
+        id: rt._id,
+        userAgent: rt.userAgent,
+        ip: rt.ip,
+        createdAt: rt.createdAt,
+        lastUsedAt: rt.lastUsedAt,
+        expiresAt: rt.expiresAt,
+        current: Boolean(req.sessionId) && rt._id.toString() === req.sessionId.toString()
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Sign out all other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async(req, res, next) => {
+  try {
+    // Tokens issued before sessions existed have no session to keep
+    const update = req.sessionId
+      ? { $pull: { refreshTokens: { _id: { $ne: req.sessionId } } } }
+      : { $set: { refreshTokens: [] } };
+
+    await User.updateOne({ _id: req.user._id }, update);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Sign out a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, validateObjectId('id'), async(req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!req.user.findRefreshSession(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await req.user.revokeSession(id);
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Verify email from link
+// @route   GET /api/auth/verify-email
+// @access  Public
+router.get('/verify-email', [
+  query('token').notEmpty().withMessage('Verification token is required'),
+  handleValidationErrors
+], (req, res, next) => verifyEmail(req.query.token, res, next));
+
+// @desc    Verify email
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required'),
+  handleValidationErrors
+], (req, res, next) => verifyEmail(req.body.token, res, next));
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public
+router.post('/resend-verification', [
+  body('email').isEmail().withMessage('Please provide a valid email').normalizeEmail(),
+  handleValidationErrors
+], resendVerificationLimit, async(req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Respond the same way whether or not the account exists
+    if (user && user.isActive && !user.isVerified) {
+      await sendVerification(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -372,6 +743,218 @@ router.put('/change-password', protect, [
   }
 });
 
+// @desc    Request password reset
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', validateForgotPassword, forgotPasswordLimit, async(req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Respond the same way whether or not the account exists
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (error) {
+        console.error('Password reset email error:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reset password
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', validatePasswordReset, async(req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    // Update password, consume the token and sign out all sessions
+    const user = await User.resetPasswordWithToken(token, newPassword);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, async(req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl({
+          secret,
+          label: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'lens.'
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Confirm two-factor enrollment
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', protect, validateTwoFactorCode, async(req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = user.confirmTwoFactorSetup(code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe, they will not be shown again',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Regenerate two-factor recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, [
+  body('password').notEmpty().withMessage('Password is required'),
+  handleValidationErrors
+], async(req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, [
+  body('password').notEmpty().withMessage('Password is required to disable two-factor authentication'),
+  handleValidationErrors
+], async(req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Delete account
 // @route   DELETE /api/auth/me
 // @access  Private
@@ -395,8 +978,8 @@ router.delete('/me', protect, [
       });
     }
 
-    // Delete user (this will trigger pre-remove middleware)
-    await user.remove();
+    // Delete user with their portfolios, photos, likes and stored files
+    await deleteUser(user);
 
     // Clear token cookie
     res.clearCookie('token');
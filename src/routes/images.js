@@ -0,0 +1,57 @@
+const express = require('express');
+const { isNotFoundError } = require('../utils/storage');
+const {
+  validateTransform,
+  verifyTransformSignature,
+  isTransformableKey,
+  getTransformedImage
+} = require('../utils/imageTransform');
+
+const router = express.Router();
+
+// @desc    Resized, cropped or re-encoded version of a stored image
+// @route   GET /img/:key?preset=&format=&quality=&sig=
+// @access  Signed URL (see buildImageUrl)
+router.get('/*', async(req, res, next) => {
+  try {
+    const key = req.params[0];
+    const { preset, format, quality, sig } = req.query;
+    const transform = { preset, format, quality };
+
+    const validationError = validateTransform(transform);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (!isTransformableKey(key) || !verifyTransformSignature(key, transform, sig)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid image signature'
+      });
+    }
+
+    const image = await getTransformedImage(key, transform);
+
+    // The URL fully determines the output, so it can be cached forever
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'X-Cache': image.cached ? 'HIT' : 'MISS'
+    });
+    res.send(image.body);
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
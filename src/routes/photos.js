@@ -1,17 +1,43 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const Photo = require('../models/Photo');
 const Portfolio = require('../models/Portfolio');
-const { protect, optionalAuth, checkOwnership } = require('../middleware/auth');
+const Like = require('../models/Like');
+const User = require('../models/User');
+const { protect, optionalAuth } = require('../middleware/auth');
 const { 
   validatePhoto, 
   validateObjectId, 
   validatePagination, 
-  validateSearch 
+  validateSearch
 } = require('../middleware/validation');
+const { getProcessingStatus, enqueuePhotoReprocessing } = require('../utils/photoProcessing');
+const { serializePhotos, serializePhoto, negotiateImageFormat } = require('../utils/photoSerializer');
+const { generatePresignedDownloadUrl } = require('../utils/r2');
+const { parseColor } = require('../utils/colors');
+const { trashPhoto } = require('../utils/trash');
+const { MAX_DUPLICATE_THRESHOLD, getDuplicateThreshold, hammingDistance } = require('../utils/perceptualHash');
 
 const router = express.Router();
 
+// Lifetime in seconds of presigned original download URLs
+const ORIGINAL_DOWNLOAD_URL_EXPIRES = parseInt(process.env.ORIGINAL_DOWNLOAD_URL_EXPIRES, 10) || 300;
+
+// Fields the owner may change through PUT /api/photos/:id
+// Files, storage accounting, ownership and trash state are managed by the server
+const EDITABLE_PHOTO_FIELDS = [
+  'title',
+  'description',
+  'altText',
+  'tags',
+  'category',
+  'isPublic',
+  'isFeatured',
+  'order',
+  'portfolio',
+  'settings'
+];
+
 // @desc    Get all public photos
 // @route   GET /api/photos
 // @access  Public
@@ -25,7 +51,9 @@ router.get('/', optionalAuth, validatePagination, validateSearch, async (req, re
       tags,
       sort = 'newest',
       user: userId,
-      portfolio: portfolioId
+      portfolio: portfolioId,
+      color,
+      tolerance
     } = req.query;
 
     const skip = (page - 1) * limit;
@@ -52,36 +80,29 @@ router.get('/', optionalAuth, validatePagination, validateSearch, async (req, re
     // Parse tags if provided
     const tagArray = tags ? tags.split(',').map(tag => tag.trim()) : [];
 
-    const photos = await Photo.search(query, {
+    const searchOptions = {
       category,
       tags: tagArray,
       user: userId,
       portfolio: portfolioId,
       isPublic: true,
+      color: color && parseColor(color),
+      tolerance: tolerance && parseFloat(tolerance)
+    };
+
+    const photos = await Photo.search(query, {
+      ...searchOptions,
       limit: parseInt(limit),
       skip,
       sort: sortObj
     });
 
-    const total = await Photo.countDocuments({
-      isPublic: true,
-      ...(query && {
-        $or: [
-          { title: { $regex: query, $options: 'i' } },
-          { description: { $regex: query, $options: 'i' } },
-          { tags: { $in: [new RegExp(query, 'i')] } }
-        ]
-      }),
-      ...(category && { category }),
-      ...(tagArray.length > 0 && { tags: { $in: tagArray } }),
-      ...(userId && { user: userId }),
-      ...(portfolioId && { portfolio: portfolioId })
-    });
+    const total = await Photo.countDocuments(Photo.buildSearchQuery(query, searchOptions));
 
     res.json({
       success: true,
       data: {
-        photos,
+        photos: await serializePhotos(photos, req.user),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -109,7 +130,7 @@ router.get('/my', protect, validatePagination, async (req, res, next) => {
     }
 
     const photos = await Photo.find(query)
-      .populate('user', 'username avatar')
+      .populate('user', 'username avatar avatarPlaceholder')
       .populate('portfolio', 'title slug')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
@@ -134,6 +155,61 @@ router.get('/my', protect, validatePagination, async (req, res, next) => {
   }
 });
 
+// @desc    Get clusters of likely duplicate photos in user's library
+// @route   GET /api/photos/duplicates?threshold=&page=&limit=
+// @access  Private
+router.get('/duplicates', protect, [
+  query('threshold')
+    .optional()
+    .isInt({ min: 0, max: MAX_DUPLICATE_THRESHOLD })
+    .withMessage(`Threshold must be between 0 and ${MAX_DUPLICATE_THRESHOLD}`),
+  ...validatePagination
+], async(req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const threshold = req.query.threshold !== undefined
+      ? parseInt(req.query.threshold, 10)
+      : getDuplicateThreshold();
+
+    const { clusters, total, duplicateCount } = await Photo.findDuplicateClusters(req.user._id, threshold, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10)
+    });
+
+    const data = await Promise.all(clusters.map(async(photos) => {
+      // Largest distance between any two photos of the cluster
+      let maxDistance = 0;
+      photos.forEach((photo, i) => {
+        photos.slice(i + 1).forEach(other => {
+          maxDistance = Math.max(maxDistance, hammingDistance(photo.perceptualHash, other.perceptualHash));
+        });
+      });
+
+      return {
+        photos: await serializePhotos(photos, req.user),
+        maxDistance
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        clusters: data,
+        threshold,
+        duplicateCount,
+        pagination: {
+          page: parseInt(page, 10),
+          limit: parseInt(limit, 10),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get featured photos
 // @route   GET /api/photos/featured
 // @access  Public
@@ -146,7 +222,7 @@ router.get('/featured', async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        photos
+        photos: await serializePhotos(photos, null)
       }
     });
   } catch (error) {
@@ -166,7 +242,7 @@ router.get('/trending', async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        photos
+        photos: await serializePhotos(photos, null)
       }
     });
   } catch (error) {
@@ -182,7 +258,7 @@ router.get('/:id', optionalAuth, validateObjectId('id'), async (req, res, next)
     const { id } = req.params;
 
     const photo = await Photo.findById(id)
-      .populate('user', 'username avatar bio')
+      .populate('user', 'username avatar avatarPlaceholder bio')
       .populate('portfolio', 'title slug');
 
     if (!photo) {
@@ -205,10 +281,16 @@ router.get('/:id', optionalAuth, validateObjectId('id'), async (req, res, next)
       await photo.incrementView();
     }
 
+    // Serve the best image format the client accepts
+    const photoData = await serializePhoto(photo, req.user, {
+      imageFormat: negotiateImageFormat(req.get('Accept'))
+    });
+
+    res.vary('Accept');
     res.json({
       success: true,
       data: {
-        photo
+        photo: photoData
       }
     });
   } catch (error) {
@@ -240,17 +322,54 @@ router.put('/:id', protect, validateObjectId('id'), validatePhoto, async (req, r
       });
     }
 
+    const update = {};
+    EDITABLE_PHOTO_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        update[field] = req.body[field];
+      });
+
+    // Photos can only be moved to one of the owner's portfolios
+    if (update.portfolio) {
+      const portfolio = await Portfolio.findOne({ _id: update.portfolio, user: req.user._id }).select('_id');
+      if (!portfolio) {
+        return res.status(404).json({
+          success: false,
+          message: 'Portfolio not found'
+        });
+      }
+    }
+
+    const previousRenderSettings = JSON.stringify(photo.getRenderSettings(req.user));
+    photo.set(update);
+    const renderSettingsChanged = JSON.stringify(photo.getRenderSettings(req.user)) !== previousRenderSettings;
+
+    if (renderSettingsChanged && !photo.canRerender()) {
+      return res.status(409).json({
+        success: false,
+        message: 'This photo has no stored original, so its watermark and privacy settings cannot be changed'
+      });
+    }
+
     const updatedPhoto = await Photo.findByIdAndUpdate(
       id,
-      req.body,
+      update,
       {
         new: true,
         runValidators: true
       }
     )
-      .populate('user', 'username avatar')
+      .populate('user', 'username avatar avatarPlaceholder')
       .populate('portfolio', 'title slug');
 
+    // Regenerate derivatives if their metadata or watermark has changed
+    if (renderSettingsChanged) {
+      const queuedIds = await enqueuePhotoReprocessing([updatedPhoto._id]);
+      if (queuedIds.length > 0) {
+        updatedPhoto.processing.status = 'pending';
+      }
+    }
+
     res.json({
       success: true,
       message: 'Photo updated successfully',
@@ -263,7 +382,7 @@ router.put('/:id', protect, validateObjectId('id'), validatePhoto, async (req, r
   }
 });
 
-// @desc    Delete photo
+// @desc    Move photo to trash
 // @route   DELETE /api/photos/:id
 // @access  Private
 router.delete('/:id', protect, validateObjectId('id'), async (req, res, next) => {
@@ -287,11 +406,11 @@ router.delete('/:id', protect, validateObjectId('id'), async (req, res, next) =>
       });
     }
 
-    await photo.remove();
+    await trashPhoto(photo);
 
     res.json({
       success: true,
-      message: 'Photo deleted successfully'
+      message: 'Photo moved to trash'
     });
   } catch (error) {
     next(error);
@@ -322,15 +441,57 @@ router.post('/:id/like', protect, validateObjectId('id'), async (req, res, next)
       });
     }
 
-    // In a real app, you'd want to track individual likes to prevent duplicate likes
-    // For now, we'll just increment the like count
-    await photo.incrementLike();
+    // Liking an already liked photo is a no-op
+    const liked = await Like.likePhoto(req.user._id, photo);
+    const updatedPhoto = await Photo.findById(id).select('analytics.likes');
 
     res.json({
       success: true,
-      message: 'Photo liked successfully',
+      message: liked ? 'Photo liked successfully' : 'Photo already liked',
       data: {
-        likes: photo.analytics.likes
+        likes: updatedPhoto.analytics.likes,
+        likedByMe: true
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Unlike photo
+// @route   DELETE /api/photos/:id/like
+// @access  Private
+router.delete('/:id/like', protect, validateObjectId('id'), async(req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const photo = await Photo.findById(id);
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    // Check if user can access photo
+    if (!photo.canAccess(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Unliking a photo that is not liked is a no-op
+    const unliked = await Like.unlikePhoto(req.user._id, photo);
+    const updatedPhoto = await Photo.findById(id).select('analytics.likes');
+
+    res.json({
+      success: true,
+      message: unliked ? 'Photo unliked successfully' : 'Photo was not liked',
+      data: {
+        likes: updatedPhoto.analytics.likes,
+        likedByMe: false
       }
     });
   } catch (error) {
@@ -362,22 +523,39 @@ router.post('/:id/download', protect, validateObjectId('id'), async (req, res, n
       });
     }
 
-    // Check if downloads are allowed
-    if (!photo.settings.allowDownload) {
+    const isOwner = photo.user.toString() === req.user._id.toString();
+
+    // Owners can always download their own photos
+    if (!isOwner && !photo.settings.allowDownload) {
       return res.status(403).json({
         success: false,
         message: 'Downloads are not allowed for this photo'
       });
     }
 
-    // Increment download count
-    await photo.incrementDownload();
+    // The untouched original is handed out through a short-lived presigned
+    // URL; users it would reveal too much to get the published image
+    const owner = isOwner ? req.user : await User.findById(photo.user).select('preferences');
+    const original = photo.canDownloadOriginal(req.user, owner);
+
+    // Owners' downloads are not counted
+    if (!isOwner) {
+      await photo.incrementDownload();
+    }
 
     res.json({
       success: true,
       message: 'Download initiated',
       data: {
-        downloadUrl: photo.url,
+        downloadUrl: original
+          ? await generatePresignedDownloadUrl(photo.originalKey, ORIGINAL_DOWNLOAD_URL_EXPIRES)
+          : photo.url,
+        original,
+        ...(original && {
+          expiresIn: ORIGINAL_DOWNLOAD_URL_EXPIRES,
+          size: photo.original.size,
+          format: photo.original.format
+        }),
         downloads: photo.analytics.downloads
       }
     });
@@ -477,6 +655,45 @@ router.get('/:id/analytics', protect, validateObjectId('id'), async (req, res, n
   }
 });
 
+// @desc    Get photo processing status
+// @route   GET /api/photos/:id/processing
+// @access  Private
+router.get('/:id/processing', protect, validateObjectId('id'), async(req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const photo = await Photo.findById(id);
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    // Check ownership
+    if (photo.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view processing status for this photo'
+      });
+    }
+
+    const processing = await getProcessingStatus(photo);
+
+    res.json({
+      success: true,
+      data: {
+        processing,
+        url: photo.url,
+        thumbnail: photo.thumbnail
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Reorder photos in portfolio
 // @route   PUT /api/photos/reorder
 // @access  Private
@@ -1,7 +1,7 @@
 const express = require('express');
 const Portfolio = require('../models/Portfolio');
 const Photo = require('../models/Photo');
-const { protect, optionalAuth, checkOwnership } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
 const { 
   validatePortfolio, 
   validatePortfolioUpdate, 
@@ -9,6 +9,8 @@ const {
   validatePagination, 
   validateSearch 
 } = require('../middleware/validation');
+const { serializePhotos } = require('../utils/photoSerializer');
+const { trashPortfolio } = require('../utils/trash');
 
 const router = express.Router();
 
@@ -101,7 +103,7 @@ router.get('/my', protect, validatePagination, async (req, res, next) => {
     const skip = (page - 1) * limit;
 
     const portfolios = await Portfolio.find({ user: req.user._id })
-      .populate('user', 'username avatar')
+      .populate('user', 'username avatar avatarPlaceholder')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(skip);
@@ -165,7 +167,7 @@ router.get('/:slug', optionalAuth, async (req, res, next) => {
       data: {
         portfolio: {
           ...portfolio.toObject(),
-          photos
+          photos: await serializePhotos(photos, req.user)
         }
       }
     });
@@ -213,7 +215,7 @@ router.post('/', protect, validatePortfolio, async (req, res, next) => {
       settings
     });
 
-    await portfolio.populate('user', 'username avatar');
+    await portfolio.populate('user', 'username avatar avatarPlaceholder');
 
     res.status(201).json({
       success: true,
@@ -251,14 +253,23 @@ router.put('/:id', protect, validateObjectId('id'), validatePortfolioUpdate, asy
       });
     }
 
+    // The cover's placeholder is taken from the photo it shows
+    const update = { ...req.body };
+    delete update.coverPhotoPlaceholder;
+    if (update.coverPhoto !== undefined) {
+      update.coverPhotoPlaceholder = update.coverPhoto
+        ? await Photo.findPlaceholderByUrl(req.user._id, update.coverPhoto)
+        : null;
+    }
+
     const updatedPortfolio = await Portfolio.findByIdAndUpdate(
       id,
-      req.body,
+      update,
       {
         new: true,
         runValidators: true
       }
-    ).populate('user', 'username avatar');
+    ).populate('user', 'username avatar avatarPlaceholder');
 
     res.json({
       success: true,
@@ -272,7 +283,7 @@ router.put('/:id', protect, validateObjectId('id'), validatePortfolioUpdate, asy
   }
 });
 
-// @desc    Delete portfolio
+// @desc    Move portfolio to trash
 // @route   DELETE /api/portfolios/:id
 // @access  Private
 router.delete('/:id', protect, validateObjectId('id'), async (req, res, next) => {
@@ -296,11 +307,12 @@ router.delete('/:id', protect, validateObjectId('id'), async (req, res, next) =>
       });
     }
 
-    await portfolio.remove();
+    // Photos in the portfolio go to the trash with it
+    await trashPortfolio(portfolio);
 
     res.json({
       success: true,
-      message: 'Portfolio deleted successfully'
+      message: 'Portfolio moved to trash'
     });
   } catch (error) {
     next(error);
@@ -454,12 +466,20 @@ router.post('/:id/duplicate', protect, validateObjectId('id'), async (req, res,
     const duplicatePortfolio = await Portfolio.create(duplicateData);
 
     // Duplicate photos
-    const originalPhotos = await Photo.find({ portfolio: id });
+    // Copies of another user's portfolio only get the photos the user can
+    // see, and only their published images: originals stay private to
+    // their owner, who is the only one allowed to download them
+    const isOwnPortfolio = originalPortfolio.user.toString() === req.user._id.toString();
+    const originalPhotos = (await Photo.find({ portfolio: id }))
+      .filter(photo => isOwnPortfolio || photo.canAccess(req.user));
     const duplicatePhotos = originalPhotos.map(photo => ({
       ...photo.toObject(),
       _id: undefined,
       user: req.user._id,
       portfolio: duplicatePortfolio._id,
+      ...(!isOwnPortfolio && { originalKey: undefined, original: undefined }),
+      // Copies share the original photos' files, which are only counted once
+      storageSize: 0,
       analytics: {
         views: 0,
         likes: 0,
@@ -472,7 +492,7 @@ router.post('/:id/duplicate', protect, validateObjectId('id'), async (req, res,
 
     await Photo.insertMany(duplicatePhotos);
 
-    await duplicatePortfolio.populate('user', 'username avatar');
+    await duplicatePortfolio.populate('user', 'username avatar avatarPlaceholder');
 
     res.status(201).json({
       success: true,
@@ -0,0 +1,113 @@
+const express = require('express');
+const { getStorage, isNotFoundError } = require('../utils/storage');
+const { verifySignedUrl } = require('../utils/storage/signing');
+const { isPrivateKey } = require('../utils/r2');
+
+const router = express.Router();
+
+// These routes stand in for the bucket when the local or in-memory storage
+// driver is active, so presigned URLs and public URLs work the same way
+// they do against S3/R2. They are disabled for the S3 driver.
+const requireApiServedDriver = (req, res, next) => {
+  if (getStorage().name === 's3') {
+    return res.status(404).json({
+      success: false,
+      message: 'Not found'
+    });
+  }
+  next();
+};
+
+// Send a stored object
+const sendObject = async(key, res) => {
+  const object = await getStorage().get(key);
+
+  res.set({
+    'Content-Type': object.contentType,
+    'Content-Length': object.contentLength,
+    'Last-Modified': new Date(object.lastModified).toUTCString(),
+    ...(object.etag && { ETag: object.etag })
+  });
+  res.send(object.body);
+};
+
+// @desc    Download object with a signed URL
+// @route   GET /api/storage/signed/*
+// @access  Signed URL
+router.get('/signed/*', requireApiServedDriver, async(req, res, next) => {
+  try {
+    const key = req.params[0];
+
+    if (!verifySignedUrl(key, 'get', req.query)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired signature'
+      });
+    }
+
+    await sendObject(key, res);
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    next(error);
+  }
+});
+
+// @desc    Upload object with a signed URL
+// @route   PUT /api/storage/signed/*
+// @access  Signed URL
+router.put('/signed/*', requireApiServedDriver, express.raw({
+  type: () => true,
+  limit: parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024
+}), async(req, res, next) => {
+  try {
+    const key = req.params[0];
+
+    if (!verifySignedUrl(key, 'put', req.query)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired signature'
+      });
+    }
+
+    const result = await getStorage().put(key, Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), {
+      contentType: req.get('content-type') || 'application/octet-stream'
+    });
+
+    res.set('ETag', result.etag);
+    res.status(200).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Public object URL for the in-memory driver
+// @route   GET /api/storage/public/*
+// @access  Public
+router.get('/public/*', requireApiServedDriver, async(req, res, next) => {
+  try {
+    // Originals are only reachable through signed URLs
+    if (getStorage().name !== 'memory' || isPrivateKey(req.params[0])) {
+      return res.status(404).json({
+        success: false,
+        message: 'Not found'
+      });
+    }
+
+    await sendObject(req.params[0], res);
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
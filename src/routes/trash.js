@@ -0,0 +1,213 @@
+const express = require('express');
+const Portfolio = require('../models/Portfolio');
+const Photo = require('../models/Photo');
+const { protect, checkSubscriptionLimits } = require('../middleware/auth');
+const { validateObjectId, validatePagination } = require('../middleware/validation');
+const { deletePhoto, deletePortfolio } = require('../utils/deletion');
+const {
+  getTrashRetentionDays,
+  getPurgeDate,
+  restorePhoto,
+  restorePortfolio,
+  purgeTrash
+} = require('../utils/trash');
+
+const router = express.Router();
+
+// Find one of the user's trashed photos or portfolios
+const findTrashed = (Model, id, user) => {
+  return Model.findOne({ _id: id, user: user._id, deletedAt: { $ne: null } });
+};
+
+// Add the purge date to a trashed document for a response
+const withPurgeDate = (doc, extra = {}) => ({
+  ...doc.toObject(),
+  ...extra,
+  purgeAt: getPurgeDate(doc.deletedAt)
+});
+
+// @desc    Get trashed portfolios and photos
+// @route   GET /api/trash
+// @access  Private
+router.get('/', protect, validatePagination, async(req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const portfolios = await Portfolio.find({ user: req.user._id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 });
+
+    const photoCounts = await Photo.aggregate([
+      { $match: { trashedWith: { $in: portfolios.map(portfolio => portfolio._id) } } },
+      { $group: { _id: '$trashedWith', count: { $sum: 1 } } }
+    ]).option({ withDeleted: true });
+    const countByPortfolio = new Map(photoCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    // Photos trashed with a portfolio are listed through it
+    const photoQuery = { user: req.user._id, deletedAt: { $ne: null }, trashedWith: null };
+
+    const photos = await Photo.find(photoQuery)
+      .populate('portfolio', 'title slug')
+      .sort({ deletedAt: -1 })
+      .limit(parseInt(limit, 10))
+      .skip(skip);
+
+    const total = await Photo.countDocuments(photoQuery);
+
+    res.json({
+      success: true,
+      data: {
+        retentionDays: getTrashRetentionDays(),
+        portfolios: portfolios.map(portfolio => withPurgeDate(portfolio, {
+          photoCount: countByPortfolio.get(portfolio._id.toString()) || 0
+        })),
+        photos: photos.map(photo => withPurgeDate(photo)),
+        pagination: {
+          page: parseInt(page, 10),
+          limit: parseInt(limit, 10),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Restore trashed photo
+// @route   POST /api/trash/photos/:id/restore
+// @access  Private
+router.post('/photos/:id/restore', protect, validateObjectId('id'), checkSubscriptionLimits('photos'), async(req, res, next) => {
+  try {
+    const photo = await findTrashed(Photo, req.params.id, req.user);
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found in trash'
+      });
+    }
+
+    await restorePhoto(photo);
+
+    res.json({
+      success: true,
+      message: 'Photo restored successfully',
+      data: {
+        photo: await Photo.findById(photo._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Restore trashed portfolio with the photos trashed along with it
+// @route   POST /api/trash/portfolios/:id/restore
+// @access  Private
+router.post('/portfolios/:id/restore', protect, validateObjectId('id'), async(req, res, next) => {
+  try {
+    const portfolio = await findTrashed(Portfolio, req.params.id, req.user);
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found in trash'
+      });
+    }
+
+    // Trashed portfolios do not count towards the plan limit
+    const portfolioCount = await Portfolio.countDocuments({ user: req.user._id });
+    const planLimits = { free: 3, pro: Infinity };
+
+    if (portfolioCount >= planLimits[req.user.subscription.plan]) {
+      return res.status(403).json({
+        success: false,
+        message: `You have reached the portfolio limit for your ${req.user.subscription.plan} plan`
+      });
+    }
+
+    await restorePortfolio(portfolio);
+
+    res.json({
+      success: true,
+      message: 'Portfolio restored successfully',
+      data: {
+        portfolio: await Portfolio.findById(portfolio._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Permanently delete trashed photo
+// @route   DELETE /api/trash/photos/:id
+// @access  Private
+router.delete('/photos/:id', protect, validateObjectId('id'), async(req, res, next) => {
+  try {
+    const photo = await findTrashed(Photo, req.params.id, req.user);
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found in trash'
+      });
+    }
+
+    // Stored files are removed from R2 in the background
+    await deletePhoto(photo);
+
+    res.json({
+      success: true,
+      message: 'Photo permanently deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Permanently delete trashed portfolio and its photos
+// @route   DELETE /api/trash/portfolios/:id
+// @access  Private
+router.delete('/portfolios/:id', protect, validateObjectId('id'), async(req, res, next) => {
+  try {
+    const portfolio = await findTrashed(Portfolio, req.params.id, req.user);
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found in trash'
+      });
+    }
+
+    await deletePortfolio(portfolio);
+
+    res.json({
+      success: true,
+      message: 'Portfolio permanently deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Empty trash
+// @route   DELETE /api/trash
+// @access  Private
+router.delete('/', protect, async(req, res, next) => {
+  try {
+    const summary = await purgeTrash({ user: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Trash emptied',
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -4,24 +4,73 @@ const { v4: uuidv4 } = require('uuid');
 const Photo = require('../models/Photo');
 const Portfolio = require('../models/Portfolio');
 const User = require('../models/User');
+const UploadSession = require('../models/UploadSession');
 const { protect, checkSubscriptionLimits } = require('../middleware/auth');
 const { validateObjectId } = require('../middleware/validation');
 const {
-  processAndUploadImage,
+  uploadOriginalImage,
   uploadAvatar,
+  uploadWatermarkLogo,
   deleteFromR2,
+  getFileInfo,
+  getFile,
+  getImageMetadata,
+  getFallbackFormat,
   generatePresignedUploadUrl,
   generatePresignedDownloadUrl,
+  generateKey,
+  generateUrl,
+  ENVIRONMENT_PREFIX,
+  STAGING_FOLDER
 } = require('../utils/r2');
+const { getStorage } = require('../utils/storage');
+const {
+  writeChunk,
+  readChunks,
+  removeChunks
+} = require('../utils/chunkedUpload');
+const { enqueuePhotoProcessing, enqueuePhotoReprocessing } = require('../utils/photoProcessing');
+const { computePerceptualHash } = require('../utils/perceptualHash');
+const { reserveStorage, releaseStorage, getStorageUsage } = require('../utils/storageQuota');
+const { trashPhoto } = require('../utils/trash');
+const { enqueueStorageDeletion } = require('../utils/deletion');
 
 const router = express.Router();
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 
+// Allowed upload content types
+const getAllowedTypes = () => (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/webp,image/gif').split(',');
+
+// Image formats sharp must detect for an upload to be accepted
+const ALLOWED_IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+const getMaxFileSize = () => parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024; // 10MB default
+
+// Chunked uploads also accept TIFF, which is converted like any other upload
+const getChunkedAllowedTypes = () => (process.env.CHUNKED_UPLOAD_ALLOWED_TYPES || 'image/jpeg,image/png,image/webp,image/gif,image/tiff').split(',');
+const CHUNKED_IMAGE_FORMATS = [...ALLOWED_IMAGE_FORMATS, 'tiff'];
+
+const getMaxChunkSize = () => parseInt(process.env.CHUNKED_UPLOAD_MAX_CHUNK_SIZE, 10) || 8 * 1024 * 1024; // 8MB default
+
+// Maximum size of a chunked upload for a subscription plan
+const getPlanMaxFileSize = (plan) => {
+  if (plan === 'pro') {
+    return parseInt(process.env.PRO_PLAN_MAX_FILE_SIZE, 10) || 50 * 1024 * 1024;
+  }
+  return parseInt(process.env.FREE_PLAN_MAX_FILE_SIZE, 10) || 10 * 1024 * 1024;
+};
+
+// Check that a buffer is an image in one of the given formats
+const isAllowedImage = async(buffer, formats) => {
+  const metadata = await getImageMetadata(buffer);
+  return Boolean(metadata) && formats.includes(metadata.format);
+};
+
 // File filter
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/webp,image/gif').split(',');
+  const allowedTypes = getAllowedTypes();
   
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
@@ -35,15 +84,128 @@ const upload = multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
+    fileSize: getMaxFileSize(),
     files: 10 // Maximum 10 files per request
   }
 });
 
+const DUPLICATE_POLICIES = ['warn', 'reject', 'allow'];
+
+// Get how near-duplicate uploads are handled: the request's `duplicates`
+// field, falling back to DUPLICATE_PHOTO_POLICY
+const getDuplicatePolicy = (req) => {
+  return req.body.duplicates || process.env.DUPLICATE_PHOTO_POLICY || 'warn';
+};
+
+const formatDuplicate = ({ photo, distance }) => ({
+  _id: photo._id,
+  title: photo.title,
+  url: photo.url,
+  thumbnail: photo.thumbnail,
+  portfolio: photo.portfolio,
+  distance
+});
+
+// Store an uploaded image and create its Photo record
+// The photo starts out pending and is processed by the background worker;
+// fields holds the photo attributes supplied by the client. With onDuplicate
+// 'warn' or 'reject' the user's library is checked for near-duplicates;
+// 'reject' throws a 409 error carrying them. Returns { photo, duplicates }
+const createPhotoFromBuffer = async(buffer, { user, portfolioId, originalName, contentType, fields = {}, onDuplicate = 'allow' }) => {
+  const imageMetadata = await getImageMetadata(buffer);
+  if (!imageMetadata || !CHUNKED_IMAGE_FORMATS.includes(imageMetadata.format)) {
+    const error = new Error('Uploaded file is not a valid image');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const perceptualHash = await computePerceptualHash(buffer);
+
+  // Check for near-duplicates before storing anything
+  const duplicates = onDuplicate === 'allow'
+    ? []
+    : (await Photo.findSimilar(user._id, perceptualHash)).map(formatDuplicate);
+
+  if (duplicates.length > 0 && onDuplicate === 'reject') {
+    const error = new Error('Photo looks like a duplicate of an existing photo');
+    error.statusCode = 409;
+    error.duplicates = duplicates;
+    throw error;
+  }
+
+  // Images with transparency are published as PNG rather than JPEG
+  const fallbackFormat = getFallbackFormat(imageMetadata);
+
+  // Count the original against the quota before storing it; renditions
+  // are added once processing has generated them
+  await reserveStorage(user, buffer.length);
+
+  // Store the original; derivatives are generated from it later
+  let original;
+  try {
+    original = await uploadOriginalImage(buffer, {
+      userId: user._id,
+      folder: 'photos',
+      originalName,
+      contentType,
+      format: imageMetadata.format
+    });
+  } catch (error) {
+    await releaseStorage(user._id, buffer.length);
+    throw error;
+  }
+
+  let photo;
+  try {
+    photo = await Photo.create({
+      user: user._id,
+      portfolio: portfolioId,
+      title: fields.title || originalName.split('.')[0],
+      description: fields.description,
+      // The original may carry location data, so it is never served; these
+      // URLs start working once background processing has run
+      url: generateUrl(`${original.keyBase}.${fallbackFormat}`),
+      publicId: `${original.keyBase}.${fallbackFormat}`,
+      thumbnail: generateUrl(`${original.keyBase}_thumb.${fallbackFormat}`),
+      originalKey: original.key,
+      original: {
+        size: original.size,
+        format: imageMetadata.format
+      },
+      perceptualHash,
+      storageSize: original.size,
+      metadata: {
+        width: imageMetadata.orientation >= 5 ? imageMetadata.height : imageMetadata.width,
+        height: imageMetadata.orientation >= 5 ? imageMetadata.width : imageMetadata.height,
+        format: imageMetadata.format,
+        size: original.size
+      },
+      tags: fields.tags || [],
+      category: fields.category || 'other',
+      isPublic: fields.isPublic,
+      order: fields.order,
+      processing: {
+        status: 'pending'
+      }
+    });
+  } catch (error) {
+    await releaseStorage(user._id, original.size);
+    // Failed deletions are retried by the storage.delete job
+    await enqueueStorageDeletion([original.key]).catch(enqueueError => {
+      console.error('Original deletion error:', enqueueError);
+    });
+    throw error;
+  }
+
+  await enqueuePhotoProcessing(photo);
+
+  return { photo, duplicates };
+};
+
 // @desc    Upload single photo
 // @route   POST /api/upload/photo
 // @access  Private
-router.post('/photo', protect, checkSubscriptionLimits('photos'), upload.single('photo'), async (req, res, next) => {
+router.post('/photo', protect, checkSubscriptionLimits('photos'), checkSubscriptionLimits('storage'), upload.single('photo'), async(req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -86,55 +248,56 @@ router.post('/photo', protect, checkSubscriptionLimits('photos'), upload.single(
       });
     }
 
-    // Process and upload image to R2
-    const uploadResult = await processAndUploadImage(req.file.buffer, {
-      userId: req.user._id,
-      folder: 'photos',
-      originalName: req.file.originalname,
-      quality: 85,
-      maxWidth: 2048,
-      maxHeight: 2048,
-      generateThumbnail: true,
-      thumbnailSize: 300,
-      extractColors: true,
-    });
+    const onDuplicate = getDuplicatePolicy(req);
+    if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+      return res.status(400).json({
+        success: false,
+        message: `Duplicates must be one of: ${DUPLICATE_POLICIES.join(', ')}`
+      });
+    }
 
     // Parse tags
     const tagArray = tags ? tags.split(',').map(tag => tag.trim()) : [];
 
-    // Create photo record
-    const photo = await Photo.create({
-      user: req.user._id,
-      portfolio: portfolioId,
-      title: title || req.file.originalname.split('.')[0],
-      description,
-      url: uploadResult.mainImage.url,
-      publicId: uploadResult.mainImage.key, // Store R2 key as publicId
-      thumbnail: uploadResult.thumbnail.url,
-      metadata: {
-        width: uploadResult.mainImage.width,
-        height: uploadResult.mainImage.height,
-        format: uploadResult.mainImage.format,
-        size: uploadResult.mainImage.size
+    const { photo, duplicates } = await createPhotoFromBuffer(req.file.buffer, {
+      user: req.user,
+      portfolioId,
+      originalName: req.file.originalname,
+      contentType: req.file.mimetype,
+      fields: {
+        title,
+        description,
+        tags: tagArray,
+        category,
+        isPublic
       },
-      tags: tagArray,
-      category: category || 'other',
-      isPublic,
-      colorPalette: uploadResult.colorPalette
+      onDuplicate
     });
 
     // Populate photo with user and portfolio data
-    await photo.populate('user', 'username avatar');
+    await photo.populate('user', 'username avatar avatarPlaceholder');
     await photo.populate('portfolio', 'title slug');
 
     res.status(201).json({
       success: true,
-      message: 'Photo uploaded successfully',
+      message: duplicates.length > 0
+        ? `Photo uploaded successfully, but it looks like ${duplicates.length} existing photo(s)`
+        : 'Photo uploaded successfully',
       data: {
-        photo
+        photo,
+        duplicates
       }
     });
   } catch (error) {
+    if (error.duplicates) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: {
+          duplicates: error.duplicates
+        }
+      });
+    }
     next(error);
   }
 });
@@ -142,7 +305,7 @@ router.post('/photo', protect, checkSubscriptionLimits('photos'), upload.single(
 // @desc    Upload multiple photos
 // @route   POST /api/upload/photos
 // @access  Private
-router.post('/photos', protect, checkSubscriptionLimits('photos'), upload.array('photos', 10), async (req, res, next) => {
+router.post('/photos', protect, checkSubscriptionLimits('photos'), checkSubscriptionLimits('storage'), upload.array('photos', 10), async(req, res, next) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -188,51 +351,49 @@ router.post('/photos', protect, checkSubscriptionLimits('photos'), upload.array(
       });
     }
 
+    const onDuplicate = getDuplicatePolicy(req);
+    if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+      return res.status(400).json({
+        success: false,
+        message: `Duplicates must be one of: ${DUPLICATE_POLICIES.join(', ')}`
+      });
+    }
+
     const uploadedPhotos = [];
+    const duplicateWarnings = [];
     const errors = [];
 
-    // Process each file
+    // Process each file; files are checked against earlier files of the
+    // batch too, as those are already in the library
     for (let i = 0; i < req.files.length; i++) {
       try {
         const file = req.files[i];
 
-        // Process and upload image to R2
-        const uploadResult = await processAndUploadImage(file.buffer, {
-          userId: req.user._id,
-          folder: 'photos',
+        const { photo, duplicates } = await createPhotoFromBuffer(file.buffer, {
+          user: req.user,
+          portfolioId,
           originalName: file.originalname,
-          quality: 85,
-          maxWidth: 2048,
-          maxHeight: 2048,
-          generateThumbnail: true,
-          thumbnailSize: 300,
-          extractColors: true,
-        });
-
-        // Create photo record
-        const photo = await Photo.create({
-          user: req.user._id,
-          portfolio: portfolioId,
-          title: file.originalname.split('.')[0],
-          url: uploadResult.mainImage.url,
-          publicId: uploadResult.mainImage.key,
-          thumbnail: uploadResult.thumbnail.url,
-          metadata: {
-            width: uploadResult.mainImage.width,
-            height: uploadResult.mainImage.height,
-            format: uploadResult.mainImage.format,
-            size: uploadResult.mainImage.size
+          contentType: file.mimetype,
+          fields: {
+            isPublic,
+            order: i
           },
-          isPublic,
-          colorPalette: uploadResult.colorPalette,
-          order: i
+          onDuplicate
         });
 
         uploadedPhotos.push(photo);
+        if (duplicates.length > 0) {
+          duplicateWarnings.push({
+            file: file.originalname,
+            photo: photo._id,
+            duplicates
+          });
+        }
       } catch (error) {
         errors.push({
           file: req.files[i].originalname,
-          error: error.message
+          error: error.message,
+          ...(error.duplicates && { duplicates: error.duplicates })
         });
       }
     }
@@ -241,7 +402,7 @@ router.post('/photos', protect, checkSubscriptionLimits('photos'), upload.array(
     const populatedPhotos = await Photo.find({
       _id: { $in: uploadedPhotos.map(p => p._id) }
     })
-      .populate('user', 'username avatar')
+      .populate('user', 'username avatar avatarPlaceholder')
       .populate('portfolio', 'title slug');
 
     res.status(201).json({
@@ -249,6 +410,7 @@ router.post('/photos', protect, checkSubscriptionLimits('photos'), upload.array(
       message: `${uploadedPhotos.length} photos uploaded successfully`,
       data: {
         photos: populatedPhotos,
+        duplicates: duplicateWarnings.length > 0 ? duplicateWarnings : undefined,
         errors: errors.length > 0 ? errors : undefined
       }
     });
@@ -257,10 +419,36 @@ router.post('/photos', protect, checkSubscriptionLimits('photos'), upload.array(
   }
 });
 
+// Count a newly stored user file (avatar, watermark logo) against the
+// storage quota, deleting it again if it does not fit
+const reserveUploadedFile = async(user, uploadResult) => {
+  try {
+    await reserveStorage(user, uploadResult.size);
+  } catch (error) {
+    await enqueueStorageDeletion([uploadResult.key]).catch(enqueueError => {
+      console.error('Upload cleanup error:', enqueueError);
+    });
+    throw error;
+  }
+};
+
+// Delete a replaced or removed user file and give back its bytes
+const removeUploadedFile = async(userId, key, size) => {
+  if (!key) {
+    return;
+  }
+
+  await releaseStorage(userId, size);
+  // Failed deletions are retried by the storage.delete job
+  await enqueueStorageDeletion([key]).catch(error => {
+    console.error('File deletion error:', error);
+  });
+};
+
 // @desc    Upload avatar
 // @route   POST /api/upload/avatar
 // @access  Private
-router.post('/avatar', protect, upload.single('avatar'), async (req, res, next) => {
+router.post('/avatar', protect, checkSubscriptionLimits('storage'), upload.single('avatar'), async(req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -271,20 +459,109 @@ router.post('/avatar', protect, upload.single('avatar'), async (req, res, next)
 
     // Upload avatar to R2
     const uploadResult = await uploadAvatar(req.file.buffer, req.user._id);
+    await reserveUploadedFile(req.user, uploadResult);
 
     // Update user avatar
     const user = await User.findByIdAndUpdate(
       req.user._id,
-      { avatar: uploadResult.url },
+      {
+        avatar: uploadResult.url,
+        avatarPlaceholder: uploadResult.placeholder,
+        'r2.avatarKey': uploadResult.key,
+        'r2.avatarSize': uploadResult.size
+      },
       { new: true }
     ).select('-password -refreshTokens');
 
+    // Remove the previous avatar
+    const previous = req.user.r2 || {};
+    if (previous.avatarKey !== uploadResult.key) {
+      await removeUploadedFile(req.user._id, previous.avatarKey, previous.avatarSize);
+    }
+
     res.json({
       success: true,
       message: 'Avatar updated successfully',
       data: {
         user,
-        avatar: uploadResult.url
+        avatar: uploadResult.url,
+        avatarPlaceholder: uploadResult.placeholder
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Find a user's photos that draw the watermark logo, which are re-rendered
+// whenever it changes
+const findLogoWatermarkedPhotos = (userId) => {
+  return Photo.find({
+    user: userId,
+    'settings.watermark.enabled': true,
+    'settings.watermark.logo': true
+  }).select('_id originalKey');
+};
+
+// Respond with 409 if some of the photos cannot be re-rendered with a new logo
+// Returns true when the response was sent
+const rejectUnrenderablePhotos = (res, photos) => {
+  const unrenderable = photos.filter(photo => !photo.canRerender());
+
+  if (unrenderable.length === 0) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    message: `${unrenderable.length} of your photos draw the watermark logo but have no stored original to re-render them from`,
+    data: {
+      photoIds: unrenderable.map(photo => photo._id)
+    }
+  });
+  return true;
+};
+
+// @desc    Upload watermark logo
+// @route   POST /api/upload/watermark
+// @access  Private
+router.post('/watermark', protect, checkSubscriptionLimits('storage'), upload.single('logo'), async(req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No logo file provided'
+      });
+    }
+
+    const photos = await findLogoWatermarkedPhotos(req.user._id);
+    if (rejectUnrenderablePhotos(res, photos)) {
+      return;
+    }
+
+    const uploadResult = await uploadWatermarkLogo(req.file.buffer, req.user._id);
+    await reserveUploadedFile(req.user, uploadResult);
+
+    const previous = req.user.r2 || {};
+
+    await User.findByIdAndUpdate(req.user._id, {
+      'r2.watermarkLogoKey': uploadResult.key,
+      'r2.watermarkLogoSize': uploadResult.size
+    });
+
+    await removeUploadedFile(req.user._id, previous.watermarkLogoKey, previous.watermarkLogoSize);
+
+    await enqueuePhotoReprocessing(photos.map(photo => photo._id));
+
+    res.json({
+      success: true,
+      message: 'Watermark logo updated successfully',
+      data: {
+        logo: {
+          url: uploadResult.url,
+          width: uploadResult.width,
+          height: uploadResult.height
+        }
       }
     });
   } catch (error) {
@@ -292,7 +569,42 @@ router.post('/avatar', protect, upload.single('avatar'), async (req, res, next)
   }
 });
 
-// @desc    Delete photo from R2
+// @desc    Remove watermark logo
+// @route   DELETE /api/upload/watermark
+// @access  Private
+router.delete('/watermark', protect, async(req, res, next) => {
+  try {
+    const logoKey = req.user.r2 && req.user.r2.watermarkLogoKey;
+
+    if (!logoKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'No watermark logo uploaded'
+      });
+    }
+
+    const photos = await findLogoWatermarkedPhotos(req.user._id);
+    if (rejectUnrenderablePhotos(res, photos)) {
+      return;
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $unset: { 'r2.watermarkLogoKey': 1, 'r2.watermarkLogoSize': 1 }
+    });
+    await removeUploadedFile(req.user._id, logoKey, req.user.r2.watermarkLogoSize);
+
+    await enqueuePhotoReprocessing(photos.map(photo => photo._id));
+
+    res.json({
+      success: true,
+      message: 'Watermark logo removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Move photo to trash
 // @route   DELETE /api/upload/photo/:id
 // @access  Private
 router.delete('/photo/:id', protect, validateObjectId('id'), async (req, res, next) => {
@@ -316,25 +628,12 @@ router.delete('/photo/:id', protect, validateObjectId('id'), async (req, res, ne
       });
     }
 
-    // Delete from R2
-    try {
-      // Delete main image
-      await deleteFromR2(photo.publicId);
-      
-      // Delete thumbnail (assuming it follows the same naming pattern)
-      const thumbnailKey = photo.publicId.replace('.jpg', '_thumb.jpg');
-      await deleteFromR2(thumbnailKey);
-    } catch (r2Error) {
-      console.error('R2 deletion error:', r2Error);
-      // Continue with database deletion even if R2 fails
-    }
-
-    // Delete from database
-    await photo.remove();
+    // Files stay in R2 until the trash is purged
+    await trashPhoto(photo);
 
     res.json({
       success: true,
-      message: 'Photo deleted successfully'
+      message: 'Photo moved to trash'
     });
   } catch (error) {
     next(error);
@@ -358,8 +657,9 @@ router.post('/presigned-url', protect, async (req, res, next) => {
     // Generate unique key with environment prefix
     const fileId = uuidv4();
     const timestamp = Date.now();
-    const environmentPrefix = process.env.R2_ENVIRONMENT_PREFIX || process.env.NODE_ENV || 'dev';
-    const key = `${environmentPrefix}/photos/${req.user._id}/${timestamp}_${fileId}_${filename}`;
+    const safeFilename = filename.replace(/[^a-zA-Z0-9._-]/g, '_');
+    // Uploads are staged in a private folder until /complete has checked them
+    const key = generateKey(STAGING_FOLDER, `${req.user._id}/${timestamp}_${fileId}_${safeFilename}`);
 
     // Generate presigned URL
     const presignedUrl = await generatePresignedUploadUrl(key, contentType, 3600); // 1 hour
@@ -369,8 +669,383 @@ router.post('/presigned-url', protect, async (req, res, next) => {
       data: {
         presignedUrl,
         key,
-        url: `${process.env.R2_PUBLIC_URL}/${key}`,
-        environment: environmentPrefix
+        environment: ENVIRONMENT_PREFIX
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a photo from an object uploaded with a presigned URL
+// @route   POST /api/upload/complete
+// @access  Private
+router.post('/complete', protect, checkSubscriptionLimits('photos'), async(req, res, next) => {
+  try {
+    const { key, portfolioId, title, description, tags, category, isPublic = true } = req.body;
+
+    if (!key || typeof key !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Key is required'
+      });
+    }
+
+    // Validate portfolio ID
+    if (!portfolioId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Portfolio ID is required'
+      });
+    }
+
+    // Only keys handed out to this user by /presigned-url can be completed
+    const userPrefix = generateKey(STAGING_FOLDER, `${req.user._id}/`);
+    if (!key.startsWith(userPrefix) || key.includes('..') || key.length === userPrefix.length) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to use this upload key'
+      });
+    }
+
+    // Check if portfolio exists and user owns it
+    const portfolio = await Portfolio.findById(portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    if (portfolio.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to upload to this portfolio'
+      });
+    }
+
+    // Check if user can upload more photos
+    if (!req.user.canUploadPhoto()) {
+      return res.status(403).json({
+        success: false,
+        message: `You have reached the photo limit for your ${req.user.subscription.plan} plan`
+      });
+    }
+
+    // Check the uploaded object before downloading it
+    let fileInfo;
+    try {
+      fileInfo = await getFileInfo(key);
+    } catch (error) {
+      if (error.code === 'NotFound') {
+        return res.status(404).json({
+          success: false,
+          message: 'Uploaded file not found'
+        });
+      }
+      throw error;
+    }
+
+    if (fileInfo.contentLength > getMaxFileSize()) {
+      await deleteFromR2(key);
+      return res.status(413).json({
+        success: false,
+        message: 'Uploaded file is too large'
+      });
+    }
+
+    if (fileInfo.contentType && !getAllowedTypes().includes(fileInfo.contentType)) {
+      await deleteFromR2(key);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file type. Only JPEG, PNG, WebP, and GIF files are allowed.'
+      });
+    }
+
+    const file = await getFile(key);
+
+    // The declared content type is client-controlled, so check the bytes too
+    if (!(await isAllowedImage(file.body, ALLOWED_IMAGE_FORMATS))) {
+      await deleteFromR2(key);
+      return res.status(400).json({
+        success: false,
+        message: 'Uploaded file is not a valid image'
+      });
+    }
+
+    // Recover the original filename from the key (timestamp_uuid_filename)
+    const originalName = key.split('/').pop().replace(/^\d+_[0-9a-f-]{36}_/, '');
+
+    // Parse tags
+    const tagArray = Array.isArray(tags) ? tags : (tags ? tags.split(',').map(tag => tag.trim()) : []);
+
+    // The original is stored under a new key, so the staged upload is
+    // deleted whether or not the photo could be created
+    let photo;
+    try {
+      ({ photo } = await createPhotoFromBuffer(file.body, {
+        user: req.user,
+        portfolioId,
+        originalName,
+        contentType: fileInfo.contentType,
+        fields: {
+          title,
+          description,
+          tags: tagArray,
+          category,
+          isPublic
+        }
+      }));
+    } finally {
+      await enqueueStorageDeletion([key]).catch(deleteError => {
+        console.error('Staged upload deletion error:', deleteError);
+      });
+    }
+
+    // Populate photo with user and portfolio data
+    await photo.populate('user', 'username avatar avatarPlaceholder');
+    await photo.populate('portfolio', 'title slug');
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo uploaded successfully',
+      data: {
+        photo
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Format an upload session for API responses
+const formatUploadSession = (session) => ({
+  id: session._id,
+  filename: session.filename,
+  contentType: session.contentType,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  photo: session.photo,
+  expiresAt: session.expiresAt,
+  maxChunkSize: getMaxChunkSize()
+});
+
+// Load an upload session owned by the current user
+const findUploadSession = (req) => {
+  return UploadSession.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+// @desc    Start a resumable chunked upload
+// @route   POST /api/upload/sessions
+// @access  Private
+router.post('/sessions', protect, checkSubscriptionLimits('photos'), async(req, res, next) => {
+  try {
+    const { filename, contentType, portfolioId, title, description, tags, category, isPublic = true } = req.body;
+    const size = parseInt(req.body.size, 10);
+
+    if (!filename || !contentType || !size || size < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Filename, content type and size are required'
+      });
+    }
+
+    if (!getChunkedAllowedTypes().includes(contentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file type. Only JPEG, PNG, WebP, GIF and TIFF files are allowed.'
+      });
+    }
+
+    const maxFileSize = getPlanMaxFileSize(req.user.subscription.plan);
+    if (size > maxFileSize) {
+      return res.status(413).json({
+        success: false,
+        message: `Files can be at most ${maxFileSize} bytes on your ${req.user.subscription.plan} plan`
+      });
+    }
+
+    // Validate portfolio ID
+    if (!portfolioId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Portfolio ID is required'
+      });
+    }
+
+    // Check if portfolio exists and user owns it
+    const portfolio = await Portfolio.findById(portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    if (portfolio.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to upload to this portfolio'
+      });
+    }
+
+    // Check if user can upload more photos
+    if (!req.user.canUploadPhoto()) {
+      return res.status(403).json({
+        success: false,
+        message: `You have reached the photo limit for your ${req.user.subscription.plan} plan`
+      });
+    }
+
+    // The exact size is reserved when the upload completes
+    if (size > getStorageUsage(req.user).remaining) {
+      return res.status(413).json({
+        success: false,
+        message: `This file does not fit in the storage left on your ${req.user.subscription.plan} plan`
+      });
+    }
+
+    const session = await UploadSession.create({
+      user: req.user._id,
+      portfolio: portfolioId,
+      filename: filename.replace(/[^a-zA-Z0-9._-]/g, '_'),
+      contentType,
+      size,
+      title,
+      description,
+      tags: Array.isArray(tags) ? tags : (tags ? tags.split(',').map(tag => tag.trim()) : []),
+      category,
+      isPublic
+    });
+
+    res.set('Upload-Offset', '0');
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      data: {
+        session: formatUploadSession(session)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get chunked upload status
+// @route   GET /api/upload/sessions/:id
+// @access  Private
+router.get('/sessions/:id', protect, validateObjectId('id'), async(req, res, next) => {
+  try {
+    const session = await findUploadSession(req);
+
+    if (!session || (session.status !== 'completed' && session.isExpired())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    res.set('Upload-Offset', session.offset.toString());
+    res.json({
+      success: true,
+      data: {
+        session: formatUploadSession(session)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Upload a chunk at the offset given in the Upload-Offset header
+// @route   PATCH /api/upload/sessions/:id
+// @access  Private
+router.patch('/sessions/:id', protect, validateObjectId('id'), express.raw({
+  type: () => true,
+  limit: getMaxChunkSize()
+}), async(req, res, next) => {
+  try {
+    const offset = parseInt(req.get('upload-offset'), 10);
+    const chunk = req.body;
+
+    if (Number.isNaN(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid Upload-Offset header is required'
+      });
+    }
+
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk data is required'
+      });
+    }
+
+    const session = await findUploadSession(req);
+
+    if (!session || session.isExpired()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is already being finalized'
+      });
+    }
+
+    if (offset !== session.offset) {
+      res.set('Upload-Offset', session.offset.toString());
+      return res.status(409).json({
+        success: false,
+        message: 'Upload-Offset does not match the current upload offset',
+        data: {
+          offset: session.offset
+        }
+      });
+    }
+
+    if (offset + chunk.length > session.size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk exceeds the declared upload size'
+      });
+    }
+
+    // Lock the session so concurrent requests cannot write the same range
+    const claimed = await UploadSession.claimChunk(session._id, offset);
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another chunk is being written to this upload'
+      });
+    }
+
+    try {
+      await writeChunk(claimed._id, offset, chunk);
+    } catch (error) {
+      await claimed.releaseLock();
+      throw error;
+    }
+
+    const updated = await claimed.advanceOffset(chunk.length);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another chunk is being written to this upload'
+      });
+    }
+
+    res.set('Upload-Offset', updated.offset.toString());
+    res.json({
+      success: true,
+      data: {
+        session: formatUploadSession(updated)
       }
     });
   } catch (error) {
@@ -378,6 +1053,148 @@ router.post('/presigned-url', protect, async (req, res, next) => {
   }
 });
 
+// @desc    Finalize a chunked upload into a photo
+// @route   POST /api/upload/sessions/:id/complete
+// @access  Private
+router.post('/sessions/:id/complete', protect, validateObjectId('id'), async(req, res, next) => {
+  let claimed = null;
+
+  try {
+    const session = await findUploadSession(req);
+
+    if (!session || (session.status !== 'completed' && session.isExpired())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: session.status === 'completed' ? 'Upload has already been completed' : 'Upload is already being finalized'
+      });
+    }
+
+    if (session.offset !== session.size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload is incomplete',
+        data: {
+          offset: session.offset,
+          size: session.size
+        }
+      });
+    }
+
+    // Check if user can upload more photos
+    if (!req.user.canUploadPhoto()) {
+      return res.status(403).json({
+        success: false,
+        message: `You have reached the photo limit for your ${req.user.subscription.plan} plan`
+      });
+    }
+
+    const portfolio = await Portfolio.findOne({ _id: session.portfolio, user: req.user._id });
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    claimed = await UploadSession.claimForProcessing(session._id);
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is already being finalized'
+      });
+    }
+
+    const buffer = await readChunks(claimed._id, claimed.size);
+
+    if (!(await isAllowedImage(buffer, CHUNKED_IMAGE_FORMATS))) {
+      await removeChunks(claimed._id);
+      await claimed.deleteOne();
+      claimed = null;
+      return res.status(400).json({
+        success: false,
+        message: 'Uploaded file is not a valid image'
+      });
+    }
+
+    const { photo } = await createPhotoFromBuffer(buffer, {
+      user: req.user,
+      portfolioId: claimed.portfolio,
+      originalName: claimed.filename,
+      contentType: claimed.contentType,
+      fields: {
+        title: claimed.title,
+        description: claimed.description,
+        tags: claimed.tags,
+        category: claimed.category,
+        isPublic: claimed.isPublic
+      }
+    });
+
+    await claimed.markCompleted(photo._id);
+    claimed = null;
+
+    // Populate photo with user and portfolio data
+    await photo.populate('user', 'username avatar avatarPlaceholder');
+    await photo.populate('portfolio', 'title slug');
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo uploaded successfully',
+      data: {
+        photo
+      }
+    });
+  } catch (error) {
+    // Let the client retry finalizing
+    if (claimed) {
+      await claimed.resetProcessing().catch(resetError => {
+        console.error('Upload session reset error:', resetError);
+      });
+    }
+    next(error);
+  }
+});
+
+// @desc    Abort a chunked upload
+// @route   DELETE /api/upload/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, validateObjectId('id'), async(req, res, next) => {
+  try {
+    const session = await findUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    if (session.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is already being finalized'
+      });
+    }
+
+    await removeChunks(session._id);
+    await session.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Upload session deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get presigned download URL
 // @route   POST /api/upload/download-url
 // @access  Private
@@ -392,6 +1209,15 @@ router.post('/download-url', protect, async (req, res, next) => {
       });
     }
 
+    // Only the user's own files can be downloaded this way
+    const keyParts = key.split('/');
+    if (keyParts[0] !== ENVIRONMENT_PREFIX || keyParts[2] !== req.user._id.toString() || key.includes('..')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this file'
+      });
+    }
+
     // Generate presigned download URL
     const presignedUrl = await generatePresignedDownloadUrl(key, expiresIn);
 
@@ -433,9 +1259,13 @@ router.get('/limits', protect, async (req, res, next) => {
     };
 
     const userLimits = limits[plan];
+    const storage = getStorageUsage(user);
+    userLimits.maxStorage = storage.limit;
+
     const currentUsage = {
       photos: user.stats.totalPhotos,
-      portfolios: await Portfolio.countDocuments({ user: user._id })
+      portfolios: await Portfolio.countDocuments({ user: user._id }),
+      storage: storage.used
     };
 
     res.json({
@@ -445,7 +1275,8 @@ router.get('/limits', protect, async (req, res, next) => {
         usage: currentUsage,
         remaining: {
           photos: userLimits.maxPhotos === Infinity ? Infinity : Math.max(0, userLimits.maxPhotos - currentUsage.photos),
-          portfolios: userLimits.maxPortfolios === Infinity ? Infinity : Math.max(0, userLimits.maxPortfolios - currentUsage.portfolios)
+          portfolios: userLimits.maxPortfolios === Infinity ? Infinity : Math.max(0, userLimits.maxPortfolios - currentUsage.portfolios),
+          storage: storage.remaining
         }
       }
     });
@@ -460,10 +1291,16 @@ router.get('/limits', protect, async (req, res, next) => {
 router.get('/config', protect, async (req, res, next) => {
   try {
     const config = {
+      storageDriver: getStorage().name,
       bucketName: process.env.R2_BUCKET_NAME,
       publicUrl: process.env.R2_PUBLIC_URL,
-      maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024,
-      allowedTypes: (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/webp,image/gif').split(','),
+      maxFileSize: getMaxFileSize(),
+      allowedTypes: getAllowedTypes(),
+      chunkedUpload: {
+        maxFileSize: getPlanMaxFileSize(req.user.subscription.plan),
+        maxChunkSize: getMaxChunkSize(),
+        allowedTypes: getChunkedAllowedTypes()
+      },
       region: process.env.R2_REGION || 'auto'
     };
 
@@ -4,7 +4,11 @@ const User = require('../models/User');
 const Portfolio = require('../models/Portfolio');
 const Photo = require('../models/Photo');
 const { protect, optionalAuth } = require('../middleware/auth');
-const { validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
+const { validatePagination, validateSearch } = require('../middleware/validation');
+const { serializePhotos } = require('../utils/photoSerializer');
+const { enqueuePhotoReprocessing } = require('../utils/photoProcessing');
+const { METADATA_POLICIES, GPS_POLICIES } = require('../utils/exif');
+const { parseColor } = require('../utils/colors');
 
 const router = express.Router();
 
@@ -36,7 +40,7 @@ router.get('/:username', optionalAuth, async (req, res, next) => {
     const portfolios = await Portfolio.find({
       user: user._id,
       isPublic: true
-    }).select('title slug description coverPhoto createdAt');
+    }).select('title slug description coverPhoto coverPhotoPlaceholder createdAt');
 
     // Get user's public photos count
     const photoCount = await Photo.countDocuments({
@@ -50,7 +54,7 @@ router.get('/:username', optionalAuth, async (req, res, next) => {
       isPublic: true,
       isFeatured: true
     })
-      .select('url thumbnail title category')
+      .select('url thumbnail variants placeholder title category')
       .limit(6)
       .sort({ createdAt: -1 });
 
@@ -103,7 +107,7 @@ router.get('/:username/portfolios', optionalAuth, validatePagination, async (req
       user: user._id,
       isPublic: true
     })
-      .populate('user', 'username avatar')
+      .populate('user', 'username avatar avatarPlaceholder')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(skip);
@@ -136,7 +140,7 @@ router.get('/:username/portfolios', optionalAuth, validatePagination, async (req
 router.get('/:username/photos', optionalAuth, validatePagination, validateSearch, async (req, res, next) => {
   try {
     const { username } = req.params;
-    const { page = 1, limit = 20, q: query, category, tags, sort = 'newest' } = req.query;
+    const { page = 1, limit = 20, q: query, category, tags, sort = 'newest', color, tolerance } = req.query;
     const skip = (page - 1) * limit;
 
     const user = await User.findOne({ username });
@@ -178,34 +182,28 @@ router.get('/:username/photos', optionalAuth, validatePagination, validateSearch
     // Parse tags if provided
     const tagArray = tags ? tags.split(',').map(tag => tag.trim()) : [];
 
-    const photos = await Photo.search(query, {
+    const searchOptions = {
       category,
       tags: tagArray,
       user: user._id,
       isPublic: true,
+      color: color && parseColor(color),
+      tolerance: tolerance && parseFloat(tolerance)
+    };
+
+    const photos = await Photo.search(query, {
+      ...searchOptions,
       limit: parseInt(limit),
       skip,
       sort: sortObj
     });
 
-    const total = await Photo.countDocuments({
-      user: user._id,
-      isPublic: true,
-      ...(query && {
-        $or: [
-          { title: { $regex: query, $options: 'i' } },
-          { description: { $regex: query, $options: 'i' } },
-          { tags: { $in: [new RegExp(query, 'i')] } }
-        ]
-      }),
-      ...(category && { category }),
-      ...(tagArray.length > 0 && { tags: { $in: tagArray } })
-    });
+    const total = await Photo.countDocuments(Photo.buildSearchQuery(query, searchOptions));
 
     res.json({
       success: true,
       data: {
-        photos,
+        photos: await serializePhotos(photos, req.user),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -287,6 +285,16 @@ router.put('/me/profile', protect, [
     .isIn(['light', 'dark', 'system'])
     .withMessage('Theme must be light, dark, or system'),
   
+  body('preferences.privacy.metadata')
+    .optional()
+    .isIn(METADATA_POLICIES)
+    .withMessage(`Metadata privacy must be one of: ${METADATA_POLICIES.join(', ')}`),
+
+  body('preferences.privacy.gps')
+    .optional()
+    .isIn(GPS_POLICIES)
+    .withMessage(`GPS privacy must be one of: ${GPS_POLICIES.join(', ')}`),
+
   require('../middleware/validation').handleValidationErrors
 ], async (req, res, next) => {
   try {
@@ -309,12 +317,41 @@ router.put('/me/profile', protect, [
 
     // Update preferences if provided
     if (preferences) {
+      const currentPreferences = req.user.toObject().preferences || {};
+
       updateData.preferences = {
-        ...req.user.preferences,
-        ...preferences
+        ...currentPreferences,
+        ...preferences,
+        privacy: {
+          ...currentPreferences.privacy,
+          ...preferences.privacy
+        }
       };
     }
 
+    // Photos whose metadata policy changes get their derivatives regenerated
+    // from their originals, so the change is refused if one has none
+    let changedPhotos = [];
+    if (preferences && preferences.privacy) {
+      const updatedOwner = { preferences: updateData.preferences };
+      const photos = await Photo.find({ user: req.user._id }).select('isPublic settings originalKey');
+      changedPhotos = photos.filter(photo => {
+        const previous = JSON.stringify(photo.getRenderSettings(req.user));
+        return JSON.stringify(photo.getRenderSettings(updatedOwner)) !== previous;
+      });
+
+      const unrenderable = changedPhotos.filter(photo => !photo.canRerender());
+      if (unrenderable.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${unrenderable.length} of your photos have no stored original and cannot be re-rendered with these privacy settings`,
+          data: {
+            photoIds: unrenderable.map(photo => photo._id)
+          }
+        });
+      }
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       updateData,
@@ -324,6 +361,8 @@ router.put('/me/profile', protect, [
       }
     ).select('-password -refreshTokens');
 
+    await enqueuePhotoReprocessing(changedPhotos.map(photo => photo._id));
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -440,7 +479,7 @@ router.get('/search', validatePagination, [
         }
       ]
     })
-      .select('username firstName lastName bio avatar stats')
+      .select('username firstName lastName bio avatar avatarPlaceholder stats')
       .sort({ 'stats.totalViews': -1 })
       .limit(parseInt(limit))
       .skip(skip);
@@ -575,7 +614,7 @@ router.get('/:username/followers', optionalAuth, validatePagination, async (req,
     const followers = await User.find({
       _id: { $in: user.followers || [] }
     })
-      .select('username firstName lastName avatar bio')
+      .select('username firstName lastName avatar avatarPlaceholder bio')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(skip);
@@ -628,7 +667,7 @@ router.get('/:username/following', optionalAuth, validatePagination, async (req,
     const following = await User.find({
       _id: { $in: user.following || [] }
     })
-      .select('username firstName lastName avatar bio')
+      .select('username firstName lastName avatar avatarPlaceholder bio')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(skip);
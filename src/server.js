@@ -13,6 +13,22 @@ const userRoutes = require('./routes/users');
 const portfolioRoutes = require('./routes/portfolios');
 const photoRoutes = require('./routes/photos');
 const uploadRoutes = require('./routes/upload');
+const storageRoutes = require('./routes/storage');
+const imageRoutes = require('./routes/images');
+const trashRoutes = require('./routes/trash');
+
+// Import models
+const UploadSession = require('./models/UploadSession');
+
+// Import utilities
+const { pruneImageCache } = require('./utils/imageTransform');
+const { isPrivateKey, checkPrivateStorage } = require('./utils/r2');
+const { getLocalUploadsDir } = require('./utils/storage');
+const { scheduleTrashPurge } = require('./utils/trash');
+
+// Import background jobs (registers the job handlers)
+const { startJobWorker } = require('./utils/jobQueue');
+require('./utils/jobHandlers');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -39,7 +55,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Upload-Offset'],
+  exposedHeaders: ['Upload-Offset']
 }));
 
 // Body parsing middleware
@@ -47,7 +64,23 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve uploaded files for development
-app.use('/uploads', express.static('uploads'));
+// Originals are private and only reachable through signed URLs
+app.use('/uploads', (req, res, next) => {
+  let key;
+  try {
+    key = decodeURIComponent(req.path).replace(/^\/+/, '');
+  } catch (error) {
+    return res.status(400).end();
+  }
+
+  if (isPrivateKey(key)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Not found'
+    });
+  }
+  next();
+}, express.static(getLocalUploadsDir()));
 
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
@@ -70,6 +103,11 @@ app.use('/api/users', userRoutes);
 app.use('/api/portfolios', portfolioRoutes);
 app.use('/api/photos', photoRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/trash', trashRoutes);
+
+// On-demand image transforms (signed URLs, outside the API rate limit)
+app.use('/img', imageRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -89,11 +127,59 @@ const connectDB = async () => {
   }
 };
 
+// Periodically remove abandoned chunked upload sessions
+const scheduleUploadSessionCleanup = () => {
+  const interval = parseInt(process.env.CHUNKED_UPLOAD_CLEANUP_INTERVAL_MS, 10) || 60 * 60 * 1000; // 1 hour
+
+  const cleanup = async() => {
+    try {
+      const removed = await UploadSession.cleanupExpired();
+      if (removed > 0) {
+        console.log(`Removed ${removed} expired upload sessions`);
+      }
+    } catch (error) {
+      console.error('Upload session cleanup error:', error.message);
+    }
+  };
+
+  cleanup();
+  setInterval(cleanup, interval).unref();
+};
+
+// Periodically remove old transformed images from the disk cache
+const scheduleImageCachePrune = () => {
+  const interval = parseInt(process.env.IMAGE_CACHE_PRUNE_INTERVAL_MS, 10) || 60 * 60 * 1000; // 1 hour
+  const maxAge = (parseInt(process.env.IMAGE_CACHE_MAX_AGE_HOURS, 10) || 7 * 24) * 60 * 60 * 1000;
+
+  const prune = async() => {
+    try {
+      const removed = await pruneImageCache(maxAge);
+      if (removed > 0) {
+        console.log(`Removed ${removed} cached images`);
+      }
+    } catch (error) {
+      console.error('Image cache prune error:', error.message);
+    }
+  };
+
+  prune();
+  setInterval(prune, interval).unref();
+};
+
 // Start server
 const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   await connectDB();
+  await checkPrivateStorage();
+  scheduleUploadSessionCleanup();
+  scheduleImageCachePrune();
+  await scheduleTrashPurge();
+
+  // Run background jobs in this process unless a separate worker is used
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    startJobWorker();
+  }
   
   app.listen(PORT, () => {
     console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
@@ -41,6 +41,59 @@ const verifyRefreshToken = (token) => {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 };
 
+// Sign a single-purpose token (never accepted as an access token)
+const generatePurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Verify a single-purpose token
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+// Generate email verification token
+// The email is embedded so the token stops working if the address changes
+const generateEmailVerificationToken = (user) => {
+  return generatePurposeToken(
+    { id: user._id, email: user.email },
+    'email-verification',
+    process.env.EMAIL_VERIFICATION_EXPIRE || '24h'
+  );
+};
+
+// Verify email verification token
+const verifyEmailVerificationToken = (token) => {
+  return verifyPurposeToken(token, 'email-verification');
+};
+
+// Generate the short-lived token for the second login step
+const generateTwoFactorChallengeToken = (user) => {
+  return generatePurposeToken(
+    { id: user._id },
+    'two-factor-challenge',
+    process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  );
+};
+
+// Verify two-factor challenge token
+const verifyTwoFactorChallengeToken = (token) => {
+  return verifyPurposeToken(token, 'two-factor-challenge');
+};
+
+// Get device info for a refresh token session from the request
+const getSessionInfo = (req) => {
+  return {
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ip: req.ip
+  };
+};
+
 // Decode token without verification (for debugging)
 const decodeToken = (token) => {
   return jwt.decode(token);
@@ -53,5 +106,10 @@ module.exports = {
   clearTokenCookie,
   verifyToken,
   verifyRefreshToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  getSessionInfo,
   decodeToken
 };
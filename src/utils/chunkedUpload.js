@@ -0,0 +1,80 @@
+const { getStorage } = require('./storage');
+const { generateKey, UPLOAD_SESSIONS_FOLDER } = require('./r2');
+
+// Chunks of in-progress uploads are stored as one object per chunk in the
+// shared storage, so any instance can receive the next chunk or finalize
+// the upload, whichever instance received the previous ones
+
+// Key prefix of an upload session's chunks
+const getChunkPrefix = (sessionId) => {
+  return `${generateKey(UPLOAD_SESSIONS_FOLDER, sessionId)}/`;
+};
+
+// Key of the chunk starting at `offset`
+// Offsets are zero-padded so chunks are listed in byte order
+const getChunkKey = (sessionId, offset) => {
+  return `${getChunkPrefix(sessionId)}${String(offset).padStart(15, '0')}`;
+};
+
+// List the keys of an upload session's chunks, by offset
+const listChunks = async(sessionId) => {
+  const chunks = new Map();
+  let continuationToken = null;
+
+  do {
+    const page = await getStorage().list(getChunkPrefix(sessionId), { continuationToken });
+    page.objects.forEach(object => {
+      chunks.set(parseInt(object.key.slice(object.key.lastIndexOf('/') + 1), 10), object.key);
+    });
+    continuationToken = page.nextContinuationToken;
+  } while (continuationToken);
+
+  return chunks;
+};
+
+// Store a chunk at the given byte offset
+// A retried chunk replaces the one stored at its offset
+const writeChunk = async(sessionId, offset, chunk) => {
+  await getStorage().put(getChunkKey(sessionId, offset), chunk, { contentType: 'application/octet-stream' });
+};
+
+// Read the first `size` bytes of an upload session's data
+// Chunks are joined from offset 0, each starting where the previous one
+// ends, so a chunk left by a retry of a different length is skipped.
+// The file is assembled in memory to be processed; its size is bounded by
+// the plan's maximum file size
+const readChunks = async(sessionId, size) => {
+  const chunks = await listChunks(sessionId);
+  const buffers = [];
+  let offset = 0;
+
+  while (offset < size) {
+    const key = chunks.get(offset);
+    if (!key) {
+      throw new Error('Chunked upload data is incomplete');
+    }
+
+    const { body } = await getStorage().get(key);
+    if (body.length === 0) {
+      throw new Error('Chunked upload data is incomplete');
+    }
+
+    buffers.push(body);
+    offset += body.length;
+  }
+
+  return Buffer.concat(buffers).subarray(0, size);
+};
+
+// Remove an upload session's chunks (missing chunks are ignored)
+const removeChunks = async(sessionId) => {
+  const chunks = await listChunks(sessionId);
+  await Promise.all([...chunks.values()].map(key => getStorage().delete(key)));
+};
+
+module.exports = {
+  getChunkPrefix,
+  writeChunk,
+  readChunks,
+  removeChunks
+};
@@ -0,0 +1,63 @@
+jest.mock('sharp', () => jest.fn());
+
+const mongoose = require('mongoose');
+const { createMemoryDriver, setStorage, getStorage } = require('./storage');
+const { isPrivateKey } = require('./r2');
+const { getChunkPrefix, writeChunk, readChunks, removeChunks } = require('./chunkedUpload');
+
+const sessionId = new mongoose.Types.ObjectId();
+
+const listKeys = async(prefix) => {
+  const page = await getStorage().list(prefix);
+  return page.objects.map(object => object.key);
+};
+
+beforeEach(() => {
+  setStorage(createMemoryDriver());
+});
+
+describe('chunked upload storage', () => {
+  it('stores each chunk in the shared storage under a private prefix', async() => {
+    await writeChunk(sessionId, 0, Buffer.from('abc'));
+
+    const keys = await listKeys(getChunkPrefix(sessionId));
+    expect(keys).toHaveLength(1);
+    expect(isPrivateKey(keys[0])).toBe(true);
+  });
+
+  it('joins chunks in byte order, however many digits their offsets have', async() => {
+    const first = Buffer.alloc(12, 'a');
+    await writeChunk(sessionId, 12, Buffer.from('tail'));
+    await writeChunk(sessionId, 0, first);
+
+    const data = await readChunks(sessionId, 16);
+    expect(data.toString()).toBe(`${first.toString()}tail`);
+  });
+
+  it('skips a chunk left by a retry of a different length', async() => {
+    await writeChunk(sessionId, 0, Buffer.from('ab'));
+    await writeChunk(sessionId, 2, Buffer.from('cdef'));
+    await writeChunk(sessionId, 4, Buffer.from('xx'));
+
+    expect((await readChunks(sessionId, 6)).toString()).toBe('abcdef');
+  });
+
+  it('rejects incomplete data', async() => {
+    await writeChunk(sessionId, 0, Buffer.from('ab'));
+    await writeChunk(sessionId, 4, Buffer.from('ef'));
+
+    await expect(readChunks(sessionId, 6)).rejects.toThrow('Chunked upload data is incomplete');
+  });
+
+  it('removes only the session\'s chunks', async() => {
+    const otherSessionId = new mongoose.Types.ObjectId();
+    await writeChunk(sessionId, 0, Buffer.from('ab'));
+    await writeChunk(sessionId, 2, Buffer.from('cd'));
+    await writeChunk(otherSessionId, 0, Buffer.from('ef'));
+
+    await removeChunks(sessionId);
+
+    expect(await listKeys(getChunkPrefix(sessionId))).toEqual([]);
+    expect(await listKeys(getChunkPrefix(otherSessionId))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,275 @@
+// Color conversions and palette quantization
+// Colors are compared in CIE Lab, where distances roughly match how
+// different two colors look
+
+// D65 reference white
+const WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+const srgbToLinear = (value) => {
+  const c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+const linearToSrgb = (value) => {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, Math.round(c * 255)));
+};
+
+const labF = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+const labFInverse = (t) => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+
+// Convert sRGB ([r, g, b], 0-255) to Lab ([L, a, b])
+const rgbToLab = ([r, g, b]) => {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / WHITE.x;
+  const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722) / WHITE.y;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / WHITE.z;
+
+  const fx = labF(x);
+  const fy = labF(y);
+  const fz = labF(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+// Convert Lab ([L, a, b]) to sRGB ([r, g, b], 0-255)
+const labToRgb = ([l, a, bValue]) => {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - bValue / 200;
+
+  const x = labFInverse(fx) * WHITE.x;
+  const y = labFInverse(fy) * WHITE.y;
+  const z = labFInverse(fz) * WHITE.z;
+
+  return [
+    linearToSrgb(x * 3.2406 + y * -1.5372 + z * -0.4986),
+    linearToSrgb(x * -0.9689 + y * 1.8758 + z * 0.0415),
+    linearToSrgb(x * 0.0557 + y * -0.2040 + z * 1.0570)
+  ];
+};
+
+const rgbToHex = ([r, g, b]) => {
+  return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Parse '#rrggbb', '#rgb' or 'rgb(r,g,b)'; returns null if invalid
+const parseColor = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+
+  let match = text.match(/^#?([0-9a-f]{6})$/);
+  if (match) {
+    return [0, 2, 4].map(i => parseInt(match[1].slice(i, i + 2), 16));
+  }
+
+  match = text.match(/^#?([0-9a-f]{3})$/);
+  if (match) {
+    return match[1].split('').map(digit => parseInt(digit + digit, 16));
+  }
+
+  match = text.match(/^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/);
+  if (match) {
+    const rgb = match.slice(1).map(Number);
+    return rgb.every(channel => channel <= 255) ? rgb : null;
+  }
+
+  return null;
+};
+
+// Lab as stored on documents, rounded to two decimals
+const toLabObject = ([l, a, b]) => {
+  const round = value => Math.round(value * 100) / 100;
+  return { l: round(l), a: round(a), b: round(b) };
+};
+
+// CIE76 color difference; about 2.3 is just noticeable
+const deltaE = (lab1, lab2) => {
+  return Math.sqrt(
+    (lab1[0] - lab2[0]) ** 2 +
+    (lab1[1] - lab2[1]) ** 2 +
+    (lab1[2] - lab2[2]) ** 2
+  );
+};
+
+// Group pixels into 5 bits per channel bins, so k-means runs over a few
+// thousand weighted colors instead of every pixel
+const binPixels = (data, channels) => {
+  const bins = new Map();
+
+  for (let i = 0; i < data.length; i += channels) {
+    // Skip (mostly) transparent pixels
+    if (channels === 4 && data[i + 3] < 128) {
+      continue;
+    }
+
+    const id = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    const bin = bins.get(id);
+
+    if (bin) {
+      bin.r += data[i];
+      bin.g += data[i + 1];
+      bin.b += data[i + 2];
+      bin.weight += 1;
+    } else {
+      bins.set(id, { r: data[i], g: data[i + 1], b: data[i + 2], weight: 1 });
+    }
+  }
+
+  return [...bins.values()].map(bin => ({
+    lab: rgbToLab([bin.r / bin.weight, bin.g / bin.weight, bin.b / bin.weight]),
+    weight: bin.weight
+  }));
+};
+
+// Deterministic k-means++ style seeding: start from the most common color,
+// then repeatedly pick the color that is both common and far from the
+// centers chosen so far
+const seedCenters = (points, k) => {
+  const centers = [points.reduce((best, point) => (point.weight > best.weight ? point : best)).lab];
+
+  while (centers.length < k) {
+    let best = null;
+    let bestScore = 0;
+
+    points.forEach(point => {
+      const distance = Math.min(...centers.map(center => deltaE(point.lab, center)));
+      const score = point.weight * distance * distance;
+      if (score > bestScore) {
+        best = point;
+        bestScore = score;
+      }
+    });
+
+    if (!best) {
+      break;
+    }
+    centers.push(best.lab);
+  }
+
+  return centers;
+};
+
+// Weighted k-means over Lab points; returns clusters as { lab, weight }
+const kMeans = (points, k, maxIterations = 20) => {
+  let centers = seedCenters(points, k);
+  let clusters = [];
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    clusters = centers.map(() => ({ sum: [0, 0, 0], weight: 0 }));
+
+    points.forEach(point => {
+      let nearest = 0;
+      let nearestDistance = Infinity;
+
+      centers.forEach((center, index) => {
+        const distance = deltaE(point.lab, center);
+        if (distance < nearestDistance) {
+          nearest = index;
+          nearestDistance = distance;
+        }
+      });
+
+      const cluster = clusters[nearest];
+      cluster.sum = cluster.sum.map((value, channel) => value + point.lab[channel] * point.weight);
+      cluster.weight += point.weight;
+    });
+
+    const nextCenters = clusters.map((cluster, index) => (
+      cluster.weight > 0 ? cluster.sum.map(value => value / cluster.weight) : centers[index]
+    ));
+    const moved = nextCenters.some((center, index) => deltaE(center, centers[index]) > 0.5);
+
+    centers = nextCenters;
+    if (!moved) {
+      break;
+    }
+  }
+
+  return centers
+    .map((lab, index) => ({ lab, weight: clusters[index].weight }))
+    .filter(cluster => cluster.weight > 0);
+};
+
+// Merge clusters closer than minDistance, heaviest first
+const mergeSimilar = (clusters, minDistance) => {
+  const merged = [];
+
+  [...clusters].sort((a, b) => b.weight - a.weight).forEach(cluster => {
+    const target = merged.find(existing => deltaE(existing.lab, cluster.lab) < minDistance);
+
+    if (target) {
+      const weight = target.weight + cluster.weight;
+      target.lab = target.lab.map((value, channel) => (
+        (value * target.weight + cluster.lab[channel] * cluster.weight) / weight
+      ));
+      target.weight = weight;
+    } else {
+      merged.push({ ...cluster });
+    }
+  });
+
+  return merged;
+};
+
+// Round percentages so they add up to exactly 100 (largest remainder)
+const roundPercentages = (weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (weight / total) * 100);
+  const rounded = exact.map(Math.floor);
+  let remaining = 100 - rounded.reduce((sum, value) => sum + value, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        rounded[index] += 1;
+        remaining -= 1;
+      }
+    });
+
+  return rounded;
+};
+
+// Quantize raw pixel data (as from sharp's raw output) into a palette of
+// up to `count` perceptually distinct colors, most common first
+// Returns [{ color: 'rgb(r,g,b)', hex, lab: { l, a, b }, percentage }]
+// with percentages summing to 100
+const quantizeColors = (data, { channels = 3, count = 5, minDistance = 15 } = {}) => {
+  const points = binPixels(data, channels);
+
+  if (points.length === 0) {
+    return [];
+  }
+
+  const clusters = mergeSimilar(kMeans(points, Math.min(count, points.length)), minDistance)
+    .map(cluster => {
+      const rgb = labToRgb(cluster.lab);
+      return { rgb, hex: rgbToHex(rgb), lab: cluster.lab, weight: cluster.weight };
+    })
+    .sort((a, b) => b.weight - a.weight || a.hex.localeCompare(b.hex));
+
+  const percentages = roundPercentages(clusters.map(cluster => cluster.weight));
+
+  return clusters.map((cluster, index) => ({
+    color: `rgb(${cluster.rgb.join(',')})`,
+    hex: cluster.hex,
+    lab: toLabObject(cluster.lab),
+    percentage: percentages[index]
+  }));
+};
+
+module.exports = {
+  srgbToLinear,
+  linearToSrgb,
+  rgbToLab,
+  labToRgb,
+  rgbToHex,
+  toLabObject,
+  parseColor,
+  deltaE,
+  quantizeColors
+};
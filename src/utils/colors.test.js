@@ -0,0 +1,70 @@
+const { quantizeColors, parseColor, rgbToLab, deltaE } = require('./colors');
+
+// Raw RGB pixel data with `count` pixels of each color, as from sharp
+const createPixels = (colors) => Buffer.from(colors.flatMap(({ rgb, count }) => Array(count).fill(rgb).flat()));
+
+const RED = [220, 30, 40];
+const GREEN = [30, 160, 60];
+const BLUE = [20, 60, 200];
+
+describe('quantizeColors', () => {
+  it('finds each distinct color, most common first, with percentages summing to 100', () => {
+    const palette = quantizeColors(createPixels([
+      { rgb: BLUE, count: 100 },
+      { rgb: RED, count: 500 },
+      { rgb: GREEN, count: 300 }
+    ]));
+
+    expect(palette.map(entry => entry.hex)).toEqual(['#dc1e28', '#1ea03c', '#143cc8']);
+    expect(palette.map(entry => entry.percentage)).toEqual([56, 33, 11]);
+    expect(palette[0].color).toBe('rgb(220,30,40)');
+  });
+
+  it('rounds percentages to exactly 100', () => {
+    const palette = quantizeColors(createPixels([
+      { rgb: RED, count: 1 },
+      { rgb: GREEN, count: 1 },
+      { rgb: BLUE, count: 1 }
+    ]));
+
+    expect(palette.map(entry => entry.percentage)).toEqual([34, 33, 33]);
+  });
+
+  it('returns the same palette whatever the pixel order', () => {
+    const colors = [
+      { rgb: RED, count: 200 },
+      { rgb: GREEN, count: 200 },
+      { rgb: BLUE, count: 100 }
+    ];
+
+    expect(quantizeColors(createPixels([...colors].reverse()))).toEqual(quantizeColors(createPixels(colors)));
+  });
+
+  it('merges shades closer than minDistance into one color', () => {
+    const palette = quantizeColors(createPixels([
+      { rgb: RED, count: 300 },
+      { rgb: [224, 34, 44], count: 100 },
+      { rgb: BLUE, count: 100 }
+    ]));
+
+    expect(palette).toHaveLength(2);
+    expect(palette.map(entry => entry.percentage)).toEqual([80, 20]);
+    palette.forEach((entry, index) => {
+      palette.slice(index + 1).forEach(other => {
+        expect(deltaE(rgbToLab(parseColor(entry.hex)), rgbToLab(parseColor(other.hex)))).toBeGreaterThanOrEqual(15);
+      });
+    });
+  });
+
+  it('skips transparent pixels of RGBA data', () => {
+    const pixels = Buffer.from([...RED, 255, ...BLUE, 0, ...RED, 255]);
+
+    expect(quantizeColors(pixels, { channels: 4 })).toEqual([
+      expect.objectContaining({ hex: '#dc1e28', percentage: 100 })
+    ]);
+  });
+
+  it('returns an empty palette for an empty image', () => {
+    expect(quantizeColors(Buffer.alloc(0))).toEqual([]);
+  });
+});
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Portfolio = require('../models/Portfolio');
+const Photo = require('../models/Photo');
+const Like = require('../models/Like');
+const UploadSession = require('../models/UploadSession');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { deleteFromR2 } = require('./r2');
+const { removeChunks } = require('./chunkedUpload');
+const { findUnreferencedKeys } = require('./storageReconciliation');
+const { releaseStorage } = require('./storageQuota');
+
+// Cascading deletion of users, portfolios and photos, including trashed ones
+// Documents, likes, follow edges and stats are updated in one transaction;
+// stored files are deleted afterwards by 'storage.delete' jobs queued in the
+// same transaction, so they are only removed once the deletion is committed
+// and are retried if storage is unavailable
+
+const STORAGE_DELETE_JOB = 'storage.delete';
+
+// Keys per storage deletion job, keeping job documents small
+const STORAGE_DELETE_BATCH_SIZE = 500;
+
+let transactionsSupported = true;
+
+// Run fn(session) in a transaction
+// Standalone MongoDB servers cannot run transactions; there the steps run
+// one after another without one (a warning is logged once)
+const withTransaction = async(fn) => {
+  if (!transactionsSupported) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async() => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (error) {
+    // IllegalOperation: transactions need a replica set or mongos
+    if (error.code === 20 || /replica set|Transaction numbers/.test(error.message)) {
+      transactionsSupported = false;
+      console.warn('MongoDB transactions are not available; deleting without a transaction');
+      return fn(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Queue deletion of stored files that no remaining document references
+// Call once the documents using the files are deleted
+const enqueueStorageDeletion = async(keys, session) => {
+  const uniqueKeys = await findUnreferencedKeys([...new Set(keys.filter(Boolean))], session);
+
+  for (let i = 0; i < uniqueKeys.length; i += STORAGE_DELETE_BATCH_SIZE) {
+    await enqueueJob(STORAGE_DELETE_JOB, { keys: uniqueKeys.slice(i, i + STORAGE_DELETE_BATCH_SIZE) }, { session });
+  }
+};
+
+// Delete the stored files of a 'storage.delete' job
+// Missing files are not an error, so retried jobs are safe; files
+// referenced again since the job was queued are kept
+const deleteStoredFiles = async({ keys }) => {
+  const unreferencedKeys = await findUnreferencedKeys(keys);
+  await Promise.all(unreferencedKeys.map(key => deleteFromR2(key)));
+};
+
+// Add n to a field of an owner's stats increments: { ownerId: { field: n } }
+const addStat = (increments, ownerId, field, n) => {
+  const owner = increments[ownerId.toString()] || (increments[ownerId.toString()] = {});
+  owner[`stats.${field}`] = (owner[`stats.${field}`] || 0) + n;
+};
+
+// Apply per-owner stats increments
+const incrementOwnerStats = async(increments, session) => {
+  const updates = Object.entries(increments).map(([ownerId, $inc]) => ({
+    updateOne: { filter: { _id: ownerId }, update: { $inc } }
+  }));
+
+  if (updates.length > 0) {
+    await User.bulkWrite(updates, { session });
+  }
+};
+
+// Get the stats increments that count photos (sign 1) or stop counting
+// them (sign -1) in their owners' photo and like totals
+const getPhotoStatIncrements = (photos, sign) => {
+  const increments = {};
+  photos.forEach(photo => {
+    addStat(increments, photo.user, 'totalPhotos', sign);
+    addStat(increments, photo.user, 'totalLikes', sign * (photo.analytics.likes || 0));
+  });
+  return increments;
+};
+
+// Remove likes by a user, with their counters
+// Trashed photos no longer count towards their owner's totalLikes
+const removeLikesBy = async(userId, session) => {
+  const likes = await Like.find({ user: userId }).select('photo').session(session);
+  if (likes.length === 0) {
+    return;
+  }
+
+  const photos = await Photo.find({ _id: { $in: likes.map(like => like.photo) }, user: { $ne: userId } })
+    .select('user deletedAt')
+    .withDeleted()
+    .session(session);
+
+  if (photos.length > 0) {
+    const increments = {};
+    photos
+      .filter(photo => !photo.deletedAt)
+      .forEach(photo => addStat(increments, photo.user, 'totalLikes', -1));
+
+    await Photo.updateMany(
+      { _id: { $in: photos.map(photo => photo._id) }, 'analytics.likes': { $gt: 0 } },
+      { $inc: { 'analytics.likes': -1 } },
+      { session }
+    );
+    await incrementOwnerStats(increments, session);
+  }
+
+  await Like.deleteMany({ user: userId }, { session });
+};
+
+// Delete the photos matching filter, trashed or not, with their likes, and
+// update their owners' stats; returns the storage keys of the deleted photos
+// updateOwners is false when the owner is being deleted too
+const removePhotos = async(filter, session, { updateOwners = true } = {}) => {
+  const photos = await Photo.find(filter)
+    .select('user publicId originalKey formats variants analytics.likes storageSize deletedAt')
+    .withDeleted()
+    .session(session);
+
+  if (photos.length === 0) {
+    return [];
+  }
+
+  const photoIds = photos.map(photo => photo._id);
+  await Like.removeForPhotos(photoIds, session);
+  await Photo.deleteMany({ _id: { $in: photoIds } }, { session });
+
+  if (updateOwners) {
+    // Trashed photos were taken out of the photo and like totals when
+    // trashed, but their files count towards storage until now
+    await incrementOwnerStats(getPhotoStatIncrements(photos.filter(photo => !photo.deletedAt), -1), session);
+
+    const bytesByOwner = new Map();
+    photos.forEach(photo => {
+      const ownerId = photo.user.toString();
+      bytesByOwner.set(ownerId, (bytesByOwner.get(ownerId) || 0) + (photo.storageSize || 0));
+    });
+    for (const [ownerId, bytes] of bytesByOwner) {
+      await releaseStorage(ownerId, bytes, session);
+    }
+  }
+
+  return photos.flatMap(photo => photo.getStorageKeys());
+};
+
+// Delete a photo, its likes and its stored files
+const deletePhoto = async(photo) => {
+  await withTransaction(async(session) => {
+    const keys = await removePhotos({ _id: photo._id }, session);
+    await enqueueStorageDeletion(keys, session);
+  });
+};
+
+// Delete a portfolio with its photos, pending uploads and stored files
+const deletePortfolio = async(portfolio) => {
+  const sessionIds = await withTransaction(async(session) => {
+    const keys = await removePhotos({ portfolio: portfolio._id }, session);
+    if (portfolio.r2 && portfolio.r2.coverPhotoKey) {
+      keys.push(portfolio.r2.coverPhotoKey);
+    }
+
+    const uploadSessions = await UploadSession.find({ portfolio: portfolio._id }).select('_id').session(session);
+    await UploadSession.deleteMany({ portfolio: portfolio._id }, { session });
+
+    await Portfolio.deleteOne({ _id: portfolio._id }, { session });
+    await User.updateOne({ _id: portfolio.user }, { $pull: { portfolios: portfolio._id } }, { session });
+    await enqueueStorageDeletion(keys, session);
+
+    return uploadSessions.map(uploadSession => uploadSession._id);
+  });
+
+  // Chunks are stored outside the transaction
+  await Promise.all(sessionIds.map(id => removeChunks(id)));
+};
+
+// Delete a user with everything they own: portfolios, photos, likes given
+// and received, follow edges, pending uploads and stored files
+const deleteUser = async(user) => {
+  const sessionIds = await withTransaction(async(session) => {
+    const keys = await removePhotos({ user: user._id }, session, { updateOwners: false });
+    await removeLikesBy(user._id, session);
+
+    const portfolios = await Portfolio.find({ user: user._id }).select('r2.coverPhotoKey').withDeleted().session(session);
+    portfolios.forEach(portfolio => keys.push(portfolio.r2 && portfolio.r2.coverPhotoKey));
+    await Portfolio.deleteMany({ user: user._id }, { session });
+
+    const uploadSessions = await UploadSession.find({ user: user._id }).select('_id').session(session);
+    await UploadSession.deleteMany({ user: user._id }, { session });
+
+    // Remove user from following/followers lists
+    await User.updateMany({ following: user._id }, { $pull: { following: user._id } }, { session });
+    await User.updateMany({ followers: user._id }, { $pull: { followers: user._id } }, { session });
+
+    const r2 = user.r2 || {};
+    keys.push(r2.avatarKey, r2.watermarkLogoKey);
+
+    await User.deleteOne({ _id: user._id }, { session });
+    await enqueueStorageDeletion(keys, session);
+
+    return uploadSessions.map(uploadSession => uploadSession._id);
+  });
+
+  await Promise.all(sessionIds.map(id => removeChunks(id)));
+};
+
+registerJobHandler(STORAGE_DELETE_JOB, deleteStoredFiles);
+
+module.exports = {
+  STORAGE_DELETE_JOB,
+  withTransaction,
+  incrementOwnerStats,
+  getPhotoStatIncrements,
+  enqueueStorageDeletion,
+  deletePhoto,
+  deletePortfolio,
+  deleteUser
+};
@@ -0,0 +1,194 @@
+jest.mock('sharp', () => jest.fn());
+jest.mock('./r2', () => ({ ...jest.requireActual('./r2'), deleteFromR2: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const Like = require('../models/Like');
+const User = require('../models/User');
+const Portfolio = require('../models/Portfolio');
+const Job = require('../models/Job');
+const UploadSession = require('../models/UploadSession');
+const { deleteFromR2 } = require('./r2');
+const { processNextJob } = require('./jobQueue');
+const { STORAGE_DELETE_JOB, deletePhoto, deletePortfolio, deleteUser } = require('./deletion');
+
+// A query stand-in that resolves to `result` however it is chained
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    withDeleted: () => chain,
+    session: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const ownerId = new mongoose.Types.ObjectId();
+
+const createPhoto = (fields = {}) => new Photo({
+  user: ownerId,
+  publicId: 'test/photos/owner/photo.jpg',
+  originalKey: 'test/originals/owner/photo_original.jpg',
+  storageSize: 1000,
+  analytics: { likes: 3 },
+  ...fields
+});
+
+// Transactions run inline in this session
+const session = {
+  withTransaction: fn => fn(),
+  endSession: () => Promise.resolve()
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  deleteFromR2.mockReset();
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+
+  jest.spyOn(Like, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(Photo, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(User, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Job, 'create').mockImplementation(docs => Promise.resolve(docs));
+
+  // No other document references the deleted files
+  jest.spyOn(Photo, 'findByR2Keys').mockReturnValue(query([]));
+  jest.spyOn(User, 'findByAvatarKeys').mockReturnValue(query([]));
+  jest.spyOn(User, 'findByWatermarkLogoKeys').mockReturnValue(query([]));
+  jest.spyOn(Portfolio, 'findByCoverPhotoKeys').mockReturnValue(query([]));
+});
+
+// Get the keys of the queued storage deletion jobs
+const getQueuedKeys = () => {
+  return Job.create.mock.calls
+    .flatMap(([docs]) => docs)
+    .filter(doc => doc.type === STORAGE_DELETE_JOB)
+    .flatMap(doc => doc.payload.keys);
+};
+
+// Get the $inc applied to a user through User.bulkWrite
+const getStatIncrements = (userId) => {
+  return User.bulkWrite.mock.calls
+    .flatMap(([updates]) => updates)
+    .filter(({ updateOne }) => updateOne.filter._id.toString() === userId.toString())
+    .map(({ updateOne }) => updateOne.update.$inc);
+};
+
+describe('deletePhoto', () => {
+  it('removes the photo likes and takes them out of the owner totals', async() => {
+    const photo = createPhoto();
+    jest.spyOn(Photo, 'find').mockReturnValue(query([photo]));
+
+    await deletePhoto(photo);
+
+    expect(Like.deleteMany).toHaveBeenCalledWith({ photo: { $in: [photo._id] } }, { session });
+    expect(Photo.deleteMany).toHaveBeenCalledWith({ _id: { $in: [photo._id] } }, { session });
+    expect(getStatIncrements(ownerId)).toEqual([{ 'stats.totalPhotos': -1, 'stats.totalLikes': -3 }]);
+  });
+
+  it('only queues the deletion of files no other photo uses', async() => {
+    const photo = createPhoto();
+    // A duplicate sharing the published image and thumbnail, without the original
+    const duplicate = createPhoto({ originalKey: undefined });
+    jest.spyOn(Photo, 'find').mockReturnValue(query([photo]));
+    Photo.findByR2Keys.mockReturnValue(query([duplicate]));
+
+    await deletePhoto(photo);
+
+    expect(getQueuedKeys()).toEqual([photo.originalKey]);
+  });
+
+  it('queues nothing when every file is still used', async() => {
+    const photo = createPhoto();
+    jest.spyOn(Photo, 'find').mockReturnValue(query([photo]));
+    Photo.findByR2Keys.mockReturnValue(query([createPhoto()]));
+
+    await deletePhoto(photo);
+
+    expect(Job.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('storage deletion jobs', () => {
+  it('keep files that became referenced again after they were queued', async() => {
+    const photo = createPhoto();
+    const job = new Job({
+      type: STORAGE_DELETE_JOB,
+      payload: { keys: [photo.publicId, 'test/avatars/owner/avatar.jpg'] },
+      status: 'running',
+      attempts: 1
+    });
+    jest.spyOn(Job, 'claimNext').mockResolvedValue(job);
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+    Photo.findByR2Keys.mockReturnValue(query([photo]));
+
+    await processNextJob();
+
+    expect(deleteFromR2.mock.calls).toEqual([['test/avatars/owner/avatar.jpg']]);
+    expect(Job.updateOne.mock.calls[0][1].$set.status).toBe('completed');
+  });
+});
+
+describe('deletePortfolio', () => {
+  it('releases the storage of every photo, trashed or not', async() => {
+    const portfolio = new Portfolio({ user: ownerId, title: 'Trip' });
+    const photos = [
+      createPhoto({ portfolio: portfolio._id }),
+      createPhoto({ portfolio: portfolio._id, storageSize: 500, deletedAt: new Date() })
+    ];
+    jest.spyOn(Photo, 'find').mockReturnValue(query(photos));
+    jest.spyOn(UploadSession, 'find').mockReturnValue(query([]));
+    jest.spyOn(UploadSession, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Portfolio, 'deleteOne').mockResolvedValue({});
+
+    await deletePortfolio(portfolio);
+
+    // The trashed photo already left the photo and like totals
+    expect(getStatIncrements(ownerId)).toEqual([{ 'stats.totalPhotos': -1, 'stats.totalLikes': -3 }]);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: ownerId.toString() },
+      { $inc: { 'stats.storageUsed': -1500 } },
+      { session }
+    );
+  });
+});
+
+describe('deleteUser', () => {
+  it('removes everything the user owns and the likes they gave', async() => {
+    const user = new User({
+      _id: ownerId,
+      username: 'owner',
+      email: 'owner@example.com',
+      r2: { avatarKey: 'test/avatars/owner/avatar.jpg' }
+    });
+    const photo = createPhoto();
+    const otherOwnerId = new mongoose.Types.ObjectId();
+    const likedPhoto = createPhoto({ user: otherOwnerId, publicId: 'test/photos/other/photo.jpg' });
+    const trashedLikedPhoto = createPhoto({ user: otherOwnerId, deletedAt: new Date() });
+
+    jest.spyOn(Photo, 'find')
+      .mockReturnValueOnce(query([photo]))
+      .mockReturnValueOnce(query([likedPhoto, trashedLikedPhoto]));
+    jest.spyOn(Photo, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Like, 'find').mockReturnValue(query([{ photo: likedPhoto._id }, { photo: trashedLikedPhoto._id }]));
+    jest.spyOn(Portfolio, 'find').mockReturnValue(query([]));
+    jest.spyOn(Portfolio, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(UploadSession, 'find').mockReturnValue(query([]));
+    jest.spyOn(UploadSession, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(User, 'updateMany').mockResolvedValue({});
+    jest.spyOn(User, 'deleteOne').mockResolvedValue({});
+
+    await deleteUser(user);
+
+    expect(Photo.deleteMany).toHaveBeenCalledWith({ _id: { $in: [photo._id] } }, { session });
+    expect(Like.deleteMany).toHaveBeenCalledWith({ user: ownerId }, { session });
+    // Only the liked photo outside the trash still counts towards its owner
+    expect(getStatIncrements(otherOwnerId)).toEqual([{ 'stats.totalLikes': -1 }]);
+    // The deleted user's own stats are not updated
+    expect(getStatIncrements(ownerId)).toEqual([]);
+    expect(User.updateMany).toHaveBeenCalledWith({ following: ownerId }, { $pull: { following: ownerId } }, { session });
+    expect(User.updateMany).toHaveBeenCalledWith({ followers: ownerId }, { $pull: { followers: ownerId } }, { session });
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: ownerId }, { session });
+    expect(getQueuedKeys()).toEqual(expect.arrayContaining([...photo.getStorageKeys(), user.r2.avatarKey]));
+  });
+});
@@ -0,0 +1,109 @@
+const nodemailer = require('nodemailer');
+
+// In-memory transport for tests and local development
+// Sent messages are kept in transport.sentMail instead of being delivered
+const createMemoryTransport = () => {
+  const sentMail = [];
+
+  return {
+    name: 'memory',
+    version: '1.0.0',
+    sentMail,
+    send(mail, callback) {
+      const message = {
+        ...mail.data,
+        messageId: `<${Date.now()}.${sentMail.length}@memory>`
+      };
+      sentMail.push(message);
+      callback(null, { envelope: mail.message.getEnvelope(), messageId: message.messageId });
+    }
+  };
+};
+
+// Build the default transport from environment variables
+// EMAIL_TRANSPORT can be 'smtp' (default), 'memory' or 'json'
+const createDefaultTransport = () => {
+  const type = process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'smtp');
+
+  switch (type) {
+  case 'memory':
+    return createMemoryTransport();
+  case 'json':
+    return { jsonTransport: true };
+  default:
+    return {
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: process.env.EMAIL_USER ? {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      } : undefined
+    };
+  }
+};
+
+let transport = null;
+let transporter = null;
+
+// Replace the mail transport (e.g. with createMemoryTransport() in tests)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+  transporter = nodemailer.createTransport(newTransport);
+  return transport;
+};
+
+// Get the active mail transport, creating the default one on first use
+const getTransport = () => {
+  if (!transporter) {
+    setTransport(createDefaultTransport());
+  }
+  return transport;
+};
+
+// Send an email through the active transport
+const sendEmail = async({ to, subject, text, html }) => {
+  getTransport();
+
+  return transporter.sendMail({
+    from: process.env.EMAIL_FROM || 'noreply@lens.photography',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Send the email verification link to a user
+const sendVerificationEmail = (user, token) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease verify your email address by opening the link below:\n\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p><p>Please verify your email address by clicking the link below:</p><p><a href="${verifyUrl}">Verify email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+  });
+};
+
+// Send the password reset link to a user
+const sendPasswordResetEmail = (user, token) => {
+  const resetUrl = `${process.env.FRONTEND_URL}/auth/reset-password?token=${encodeURIComponent(token)}`;
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${resetUrl}">Reset password</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  createMemoryTransport,
+  setTransport,
+  getTransport,
+  sendEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
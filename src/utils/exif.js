@@ -0,0 +1,716 @@
+// Photo metadata readers for the raw EXIF, XMP and IPTC blocks that sharp
+// exposes as metadata().exif / .xmp / .iptc, normalized into the shape of
+// Photo.metadata.exif
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = {
+  1: 1, // BYTE
+  2: 1, // ASCII
+  3: 2, // SHORT
+  4: 4, // LONG
+  5: 8, // RATIONAL
+  7: 1, // UNDEFINED
+  9: 4, // SLONG
+  10: 8 // SRATIONAL
+};
+
+// IFD0 tags
+const TAG_MAKE = 0x010f;
+const TAG_MODEL = 0x0110;
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+
+// Exif IFD tags
+const TAG_EXPOSURE_TIME = 0x829a;
+const TAG_F_NUMBER = 0x829d;
+const TAG_ISO = 0x8827;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_FOCAL_LENGTH = 0x920a;
+const TAG_LENS_MAKE = 0xa433;
+const TAG_LENS_MODEL = 0xa434;
+const TAG_EXIF_VERSION = 0x9000;
+const TAG_INTEROP_IFD = 0xa005;
+
+// IFD1 (embedded thumbnail) tags
+const TAG_THUMBNAIL_OFFSET = 0x0201;
+const TAG_THUMBNAIL_LENGTH = 0x0202;
+
+// Tags pointing at another IFD
+const IFD_POINTER_TAGS = [TAG_EXIF_IFD, TAG_GPS_IFD, TAG_INTEROP_IFD];
+
+// GPS IFD tags
+const TAG_GPS_VERSION = 0x0000;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+
+// Read a single TIFF field value (an array when count > 1)
+const readValue = (buffer, type, count, offset, littleEndian) => {
+  if (type === 2) {
+    return buffer.toString('latin1', offset, offset + count).replace(/\0[\s\S]*$/, '').trim();
+  }
+
+  if (type === 7) {
+    return buffer.subarray(offset, offset + count);
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const position = offset + i * TYPE_SIZES[type];
+
+    switch (type) {
+    case 1:
+      values.push(buffer.readUInt8(position));
+      break;
+    case 3:
+      values.push(littleEndian ? buffer.readUInt16LE(position) : buffer.readUInt16BE(position));
+      break;
+    case 4:
+      values.push(littleEndian ? buffer.readUInt32LE(position) : buffer.readUInt32BE(position));
+      break;
+    case 9:
+      values.push(littleEndian ? buffer.readInt32LE(position) : buffer.readInt32BE(position));
+      break;
+    case 5:
+    case 10: {
+      const read = type === 5
+        ? (littleEndian ? buffer.readUInt32LE : buffer.readUInt32BE)
+        : (littleEndian ? buffer.readInt32LE : buffer.readInt32BE);
+      const numerator = read.call(buffer, position);
+      const denominator = read.call(buffer, position + 4);
+      values.push(denominator === 0 ? null : numerator / denominator);
+      break;
+    }
+    }
+  }
+
+  return count === 1 ? values[0] : values;
+};
+
+// Check that `size` bytes at `position` lie inside the buffer
+const isInBounds = (buffer, position, size) => {
+  return Number.isInteger(position) && position >= 0 && position + size <= buffer.length;
+};
+
+// Get the error thrown for a read or write outside the block
+const createMalformedError = (position) => {
+  return new Error(`Malformed EXIF block: offset ${position} is out of bounds`);
+};
+
+// Read and write helpers for a TIFF block in the given byte order
+// Every access is bounds-checked and throws on malformed blocks
+const createTiffAccess = (buffer, littleEndian) => {
+  const check = (position, size) => {
+    if (!isInBounds(buffer, position, size)) {
+      throw createMalformedError(position);
+    }
+  };
+
+  return {
+    read16: (position) => {
+      check(position, 2);
+      return littleEndian ? buffer.readUInt16LE(position) : buffer.readUInt16BE(position);
+    },
+    read32: (position) => {
+      check(position, 4);
+      return littleEndian ? buffer.readUInt32LE(position) : buffer.readUInt32BE(position);
+    },
+    write16: (position, value) => {
+      check(position, 2);
+      return littleEndian ? buffer.writeUInt16LE(value, position) : buffer.writeUInt16BE(value, position);
+    },
+    write32: (position, value) => {
+      check(position, 4);
+      return littleEndian ? buffer.writeUInt32LE(value, position) : buffer.writeUInt32BE(value, position);
+    }
+  };
+};
+
+// List the well-formed entries of one IFD with the location of their values
+const getIfdEntries = (buffer, offset, littleEndian) => {
+  const entries = [];
+
+  if (!offset || !isInBounds(buffer, offset, 2)) {
+    return entries;
+  }
+
+  const { read16, read32 } = createTiffAccess(buffer, littleEndian);
+  const count = read16(offset);
+
+  for (let i = 0; i < count; i++) {
+    const position = offset + 2 + i * 12;
+    if (position + 12 > buffer.length) {
+      break;
+    }
+
+    const tag = read16(position);
+    const type = read16(position + 2);
+    const valueCount = read32(position + 4);
+
+    if (!TYPE_SIZES[type] || valueCount === 0) {
+      continue;
+    }
+
+    const size = TYPE_SIZES[type] * valueCount;
+    const valueOffset = size <= 4 ? position + 8 : read32(position + 8);
+
+    if (!isInBounds(buffer, valueOffset, size)) {
+      continue;
+    }
+
+    entries.push({ tag, type, count: valueCount, position, valueOffset, size });
+  }
+
+  return entries;
+};
+
+// Read the entries of one IFD into a { tag: value } map
+// Malformed entries are skipped rather than failing the whole block
+const readIfd = (buffer, offset, littleEndian) => {
+  const entries = {};
+
+  getIfdEntries(buffer, offset, littleEndian).forEach(entry => {
+    entries[entry.tag] = readValue(buffer, entry.type, entry.count, entry.valueOffset, littleEndian);
+  });
+
+  return entries;
+};
+
+// Get the TIFF block inside a raw EXIF block and its byte order
+// Returns null if the block is not valid TIFF
+const getTiffBlock = (exif) => {
+  let buffer = exif;
+
+  // sharp returns the APP1 payload, which starts with "Exif\0\0"
+  if (buffer.toString('latin1', 0, 4) === 'Exif') {
+    buffer = buffer.subarray(6);
+  }
+
+  if (buffer.length < 8) {
+    return null;
+  }
+
+  const byteOrder = buffer.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    return null;
+  }
+
+  return { buffer, littleEndian: byteOrder === 'II' };
+};
+
+// Parse a raw EXIF block into its IFD0, Exif and GPS tag maps
+const parseExifBlock = (exif) => {
+  const tiff = getTiffBlock(exif);
+  if (!tiff) {
+    return null;
+  }
+
+  const { buffer, littleEndian } = tiff;
+  const ifd0 = readIfd(buffer, createTiffAccess(buffer, littleEndian).read32(4), littleEndian);
+
+  return {
+    ifd0,
+    exif: readIfd(buffer, ifd0[TAG_EXIF_IFD], littleEndian),
+    gps: readIfd(buffer, ifd0[TAG_GPS_IFD], littleEndian)
+  };
+};
+
+// Get the first value of a tag that may be stored as an array
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+// Read a value from XMP, as an attribute or as element content
+// (including rdf:Alt / rdf:Seq lists, which yield their first item)
+const getXmpValue = (xmp, names) => {
+  for (const name of names) {
+    const escaped = name.replace(':', '\\:');
+
+    const attribute = xmp.match(new RegExp(`${escaped}="([^"]*)"`));
+    if (attribute && attribute[1].trim()) {
+      return attribute[1].trim();
+    }
+
+    const element = xmp.match(new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`));
+    if (element) {
+      const item = element[1].match(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/);
+      const value = (item ? item[1] : element[1]).replace(/<[^>]+>/g, '').trim();
+      if (value) {
+        return value;
+      }
+    }
+  }
+
+  return undefined;
+};
+
+// Parse an XMP rational ("28/10") or decimal string
+const parseXmpNumber = (value) => {
+  if (!value) {
+    return undefined;
+  }
+
+  const [numerator, denominator] = value.split('/').map(Number);
+  const number = denominator === undefined ? numerator : numerator / denominator;
+
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Parse an XMP GPS coordinate ("51,30.123N" or "51,30,7.4N")
+const parseXmpCoordinate = (value) => {
+  const match = value && value.match(/^(\d+(?:\.\d+)?),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/i);
+  if (!match) {
+    return undefined;
+  }
+
+  const decimal = Number(match[1]) + Number(match[2]) / 60 + Number(match[3] || 0) / 3600;
+  return /[SW]/i.test(match[4]) ? -decimal : decimal;
+};
+
+// Read the IPTC-IIM datasets (record 2) from a Photoshop IRB block
+const parseIptcBlock = (iptc) => {
+  const datasets = {};
+
+  // IPTC data lives in the 8BIM resource 0x0404
+  let data = iptc;
+  const resourceStart = iptc.indexOf('8BIM\x04\x04', 0, 'latin1');
+
+  if (resourceStart !== -1) {
+    const nameLength = iptc.readUInt8(resourceStart + 6);
+    // Pascal string name, padded to an even length
+    const sizeOffset = resourceStart + 6 + ((nameLength + 2) & ~1);
+
+    if (sizeOffset + 4 <= iptc.length) {
+      const size = iptc.readUInt32BE(sizeOffset);
+      data = iptc.subarray(sizeOffset + 4, sizeOffset + 4 + size);
+    }
+  }
+
+  let offset = 0;
+  while (offset + 5 <= data.length) {
+    if (data[offset] !== 0x1c) {
+      offset += 1;
+      continue;
+    }
+
+    const record = data[offset + 1];
+    const dataset = data[offset + 2];
+    const size = data.readUInt16BE(offset + 3);
+    const value = data.toString('utf8', offset + 5, offset + 5 + size).trim();
+
+    if (record === 2 && value && datasets[dataset] === undefined) {
+      datasets[dataset] = value;
+    }
+
+    offset += 5 + size;
+  }
+
+  return datasets;
+};
+
+// Get a tag value if it is text; malformed blocks may store other types
+const text = (value) => (typeof value === 'string' && value ? value : undefined);
+
+// Combine make and model without repeating the brand
+// ("Canon" + "Canon EOS R5" => "Canon EOS R5")
+const formatCamera = (make, model) => {
+  make = text(make);
+  model = text(model);
+
+  if (!model) {
+    return make || undefined;
+  }
+
+  if (make && !model.toLowerCase().startsWith(make.toLowerCase().split(/\s+/)[0])) {
+    return `${make} ${model}`;
+  }
+
+  return model;
+};
+
+// Metadata privacy policies:
+// - strip:  no metadata at all
+// - camera: camera, lens and exposure settings only (no date or location)
+// - all:    everything the camera wrote
+const METADATA_POLICIES = ['strip', 'camera', 'all'];
+
+// What happens to GPS coordinates on public photos:
+// - remove: drop the location
+// - fuzz:   round coordinates to about 1km
+// - keep:   keep exact coordinates
+const GPS_POLICIES = ['remove', 'fuzz', 'keep'];
+
+// Decimal places kept by GPS fuzzing (2 places is roughly 1.1km)
+const GPS_FUZZ_DECIMALS = 2;
+
+const CAMERA_FIELDS = ['camera', 'lens', 'focalLength', 'aperture', 'shutterSpeed', 'iso'];
+const CAMERA_IFD0_TAGS = [TAG_MAKE, TAG_MODEL, TAG_EXIF_IFD];
+const CAMERA_EXIF_TAGS = [
+  TAG_EXIF_VERSION,
+  TAG_EXPOSURE_TIME,
+  TAG_F_NUMBER,
+  TAG_ISO,
+  TAG_FOCAL_LENGTH,
+  TAG_LENS_MAKE,
+  TAG_LENS_MODEL
+];
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const formatFocalLength = (value) => (value > 0 ? `${round(value)}mm` : undefined);
+
+const formatAperture = (value) => (value > 0 ? `f/${round(value)}` : undefined);
+
+// Exposure time in seconds => "1/250s" or "2s"
+const formatShutterSpeed = (value) => {
+  if (!(value > 0)) {
+    return undefined;
+  }
+
+  return value >= 1 ? `${round(value)}s` : `1/${Math.round(1 / value)}s`;
+};
+
+// EXIF dates are "YYYY:MM:DD HH:MM:SS" in camera local time; without an
+// offset tag they are stored as UTC
+const parseExifDate = (value, offset) => {
+  const match = text(value) && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) {
+    return undefined;
+  }
+
+  const [, year, month, day, hour, minute, second] = match;
+  const zone = offset && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// XMP and IPTC dates are ISO 8601 ("2023-05-01T14:22:10+02:00") or,
+// for IPTC, "YYYYMMDD" with an optional "HHMMSS+HHMM" time
+const parseIsoDate = (value) => {
+  if (!value) {
+    return undefined;
+  }
+
+  const iptc = value.match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})([+-]\d{2})(\d{2}))?$/);
+  const normalized = iptc
+    ? `${iptc[1]}-${iptc[2]}-${iptc[3]}T${iptc[4] || '00'}:${iptc[5] || '00'}:${iptc[6] || '00'}${iptc[7] ? `${iptc[7]}:${iptc[8]}` : 'Z'}`
+    : value;
+
+  const date = new Date(normalized);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// GPS degrees/minutes/seconds rationals => signed decimal degrees
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 2 || dms.some(part => part === null)) {
+    return undefined;
+  }
+
+  const decimal = dms[0] + dms[1] / 60 + (dms[2] || 0) / 3600;
+  return ref === 'S' || ref === 'W' ? -decimal : decimal;
+};
+
+const isValidCoordinate = (latitude, longitude) => {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 &&
+    !(latitude === 0 && longitude === 0);
+};
+
+// Remove undefined values so they are not written to the document
+const compact = (object) => {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+};
+
+// Extract normalized photo metadata from the blocks returned by
+// sharp(buffer).metadata(); EXIF wins over XMP, which wins over IPTC
+const extractExif = ({ exif, xmp, iptc } = {}) => {
+  let tags = null;
+  try {
+    tags = exif ? parseExifBlock(exif) : null;
+  } catch (error) {
+    tags = null;
+  }
+
+  const { ifd0 = {}, exif: exifTags = {}, gps = {} } = tags || {};
+  const xmpText = xmp ? xmp.toString('utf8') : '';
+
+  let iptcData = {};
+  try {
+    iptcData = iptc ? parseIptcBlock(iptc) : {};
+  } catch (error) {
+    iptcData = {};
+  }
+
+  const camera = formatCamera(
+    ifd0[TAG_MAKE] || getXmpValue(xmpText, ['tiff:Make']),
+    ifd0[TAG_MODEL] || getXmpValue(xmpText, ['tiff:Model'])
+  );
+
+  const lens = exifTags[TAG_LENS_MODEL]
+    ? formatCamera(exifTags[TAG_LENS_MAKE], exifTags[TAG_LENS_MODEL])
+    : getXmpValue(xmpText, ['exifEX:LensModel', 'aux:Lens']);
+
+  const dateTaken = parseExifDate(exifTags[TAG_DATE_TIME_ORIGINAL], exifTags[TAG_OFFSET_TIME_ORIGINAL]) ||
+    parseIsoDate(getXmpValue(xmpText, ['exif:DateTimeOriginal', 'photoshop:DateCreated', 'xmp:CreateDate'])) ||
+    parseIsoDate(iptcData[55] && `${iptcData[55]}${iptcData[60] || ''}`) ||
+    parseExifDate(ifd0[TAG_DATE_TIME]);
+
+  let latitude = toDecimalDegrees(gps[TAG_GPS_LATITUDE], gps[TAG_GPS_LATITUDE_REF]);
+  let longitude = toDecimalDegrees(gps[TAG_GPS_LONGITUDE], gps[TAG_GPS_LONGITUDE_REF]);
+
+  if (!isValidCoordinate(latitude, longitude)) {
+    latitude = parseXmpCoordinate(getXmpValue(xmpText, ['exif:GPSLatitude']));
+    longitude = parseXmpCoordinate(getXmpValue(xmpText, ['exif:GPSLongitude']));
+  }
+
+  const address = [
+    iptcData[92] || getXmpValue(xmpText, ['Iptc4xmpCore:Location']),
+    iptcData[90] || getXmpValue(xmpText, ['photoshop:City']),
+    iptcData[95] || getXmpValue(xmpText, ['photoshop:State']),
+    iptcData[101] || getXmpValue(xmpText, ['photoshop:Country'])
+  ].filter(Boolean).join(', ');
+
+  const location = compact({
+    ...(isValidCoordinate(latitude, longitude) && {
+      latitude: round(latitude, 6),
+      longitude: round(longitude, 6)
+    }),
+    address: address || undefined
+  });
+
+  const iso = first(exifTags[TAG_ISO]) || getXmpValue(xmpText, ['exifEX:PhotographicSensitivity', 'exif:ISOSpeedRatings']);
+
+  return compact({
+    camera,
+    lens,
+    focalLength: formatFocalLength(exifTags[TAG_FOCAL_LENGTH] || parseXmpNumber(getXmpValue(xmpText, ['exif:FocalLength']))),
+    aperture: formatAperture(exifTags[TAG_F_NUMBER] || parseXmpNumber(getXmpValue(xmpText, ['exif:FNumber']))),
+    shutterSpeed: formatShutterSpeed(exifTags[TAG_EXPOSURE_TIME] || parseXmpNumber(getXmpValue(xmpText, ['exif:ExposureTime']))),
+    iso: iso ? String(iso) : undefined,
+    dateTaken,
+    location: Object.keys(location).length > 0 ? location : undefined
+  });
+};
+
+// Reduce coordinate precision for GPS fuzzing
+const fuzzCoordinate = (value) => round(value, GPS_FUZZ_DECIMALS);
+
+// Apply a privacy policy ({ metadata, gps }) to normalized EXIF data
+const applyPrivacyToExif = (exif, { metadata, gps }) => {
+  if (metadata === 'strip' || !exif) {
+    return {};
+  }
+
+  const result = metadata === 'camera'
+    ? compact(Object.fromEntries(CAMERA_FIELDS.map(field => [field, exif[field]])))
+    : { ...exif };
+
+  if (result.location && gps === 'remove') {
+    delete result.location;
+  } else if (result.location && gps === 'fuzz' && Number.isFinite(result.location.latitude)) {
+    result.location = {
+      ...result.location,
+      latitude: fuzzCoordinate(result.location.latitude),
+      longitude: fuzzCoordinate(result.location.longitude)
+    };
+  }
+
+  return result;
+};
+
+// Rewrite a TIFF block in place according to a privacy policy
+// Throws if the block is malformed (see redactExifBlock)
+const rewriteTiffBlock = (buffer, littleEndian, { metadata, gps }) => {
+  const { read16, read32, write16, write32 } = createTiffAccess(buffer, littleEndian);
+
+  // Get the position of an IFD's next-IFD pointer, checking that the
+  // whole entry table and pointer are inside the block
+  const getNextPointer = (offset) => {
+    const nextPointer = offset + 2 + read16(offset) * 12;
+    if (!isInBounds(buffer, nextPointer, 4)) {
+      throw createMalformedError(nextPointer);
+    }
+    return nextPointer;
+  };
+
+  const zeroValue = (entry) => {
+    if (entry.size > 4) {
+      buffer.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+    }
+  };
+
+  // Erase an IFD, its values and any IFDs or thumbnail it points to
+  const clearIfd = (offset, depth = 0) => {
+    const entries = getIfdEntries(buffer, offset, littleEndian);
+    if (entries.length === 0 || depth > 3) {
+      return;
+    }
+
+    const values = readIfd(buffer, offset, littleEndian);
+    entries.forEach(entry => {
+      if (IFD_POINTER_TAGS.includes(entry.tag)) {
+        clearIfd(read32(entry.position + 8), depth + 1);
+      }
+      zeroValue(entry);
+    });
+
+    const thumbnailOffset = values[TAG_THUMBNAIL_OFFSET];
+    const thumbnailLength = values[TAG_THUMBNAIL_LENGTH];
+    if (thumbnailOffset && thumbnailLength && thumbnailOffset + thumbnailLength <= buffer.length) {
+      buffer.fill(0, thumbnailOffset, thumbnailOffset + thumbnailLength);
+    }
+
+    buffer.fill(0, offset, Math.min(offset + 2 + entries.length * 12 + 4, buffer.length));
+  };
+
+  // Keep only the entries of an IFD matching `keep`, compacting the
+  // remaining entries in place
+  const filterIfd = (offset, keep) => {
+    const entries = getIfdEntries(buffer, offset, littleEndian);
+    if (entries.length === 0) {
+      return;
+    }
+
+    const nextPointer = getNextPointer(offset);
+    const next = read32(nextPointer);
+
+    const kept = [];
+    entries.forEach(entry => {
+      if (keep(entry.tag)) {
+        kept.push(Buffer.from(buffer.subarray(entry.position, entry.position + 12)));
+        return;
+      }
+
+      if (IFD_POINTER_TAGS.includes(entry.tag)) {
+        clearIfd(read32(entry.position + 8));
+      }
+      zeroValue(entry);
+    });
+
+    buffer.fill(0, offset, nextPointer + 4);
+    write16(offset, kept.length);
+    kept.forEach((entry, index) => entry.copy(buffer, offset + 2 + index * 12));
+    write32(offset + 2 + kept.length * 12, next);
+  };
+
+  const ifd0Offset = read32(4);
+  const ifd0Entries = getIfdEntries(buffer, ifd0Offset, littleEndian);
+  if (ifd0Entries.length === 0) {
+    return null;
+  }
+
+  // Drop IFD1 (the embedded thumbnail)
+  const ifd0NextPointer = getNextPointer(ifd0Offset);
+  clearIfd(read32(ifd0NextPointer));
+  write32(ifd0NextPointer, 0);
+
+  const ifd0 = readIfd(buffer, ifd0Offset, littleEndian);
+  const keepGps = metadata === 'all' && gps !== 'remove';
+
+  filterIfd(ifd0Offset, tag => {
+    if (tag === TAG_ORIENTATION || (tag === TAG_GPS_IFD && !keepGps)) {
+      return false;
+    }
+    return metadata === 'all' || CAMERA_IFD0_TAGS.includes(tag);
+  });
+
+  if (metadata === 'camera' && ifd0[TAG_EXIF_IFD]) {
+    filterIfd(ifd0[TAG_EXIF_IFD], tag => CAMERA_EXIF_TAGS.includes(tag));
+  }
+
+  if (keepGps && gps === 'fuzz' && ifd0[TAG_GPS_IFD]) {
+    const gpsOffset = ifd0[TAG_GPS_IFD];
+    filterIfd(gpsOffset, tag => [
+      TAG_GPS_VERSION,
+      TAG_GPS_LATITUDE_REF,
+      TAG_GPS_LATITUDE,
+      TAG_GPS_LONGITUDE_REF,
+      TAG_GPS_LONGITUDE
+    ].includes(tag));
+
+    // Rewrite latitude and longitude as rounded degrees/minutes/seconds
+    getIfdEntries(buffer, gpsOffset, littleEndian)
+      .filter(entry => (entry.tag === TAG_GPS_LATITUDE || entry.tag === TAG_GPS_LONGITUDE) && entry.type === 5 && entry.count === 3)
+      .forEach(entry => {
+        const value = toDecimalDegrees(readValue(buffer, entry.type, entry.count, entry.valueOffset, littleEndian));
+        if (!Number.isFinite(value)) {
+          buffer.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+          return;
+        }
+
+        const fuzzed = Math.abs(fuzzCoordinate(value));
+        const degrees = Math.floor(fuzzed);
+        const minutes = Math.floor((fuzzed - degrees) * 60);
+        const seconds = Math.round(((fuzzed - degrees) * 60 - minutes) * 60 * 100);
+
+        [[degrees, 1], [minutes, 1], [seconds, 100]].forEach(([numerator, denominator], index) => {
+          write32(entry.valueOffset + index * 8, numerator);
+          write32(entry.valueOffset + index * 8 + 4, denominator);
+        });
+      });
+  }
+
+  return buffer;
+};
+
+// Rewrite a raw EXIF block according to a privacy policy ({ metadata, gps })
+// Returns the redacted TIFF block, or null when nothing should be kept.
+// Removed entries have their values zeroed so no trace is left in the bytes;
+// the orientation tag and embedded thumbnail are always dropped, since
+// derivatives are stored upright and the thumbnail may show the unedited shot.
+// Malformed blocks are dropped entirely rather than failing the upload
+const redactExifBlock = (exif, privacy) => {
+  const tiff = exif && privacy.metadata !== 'strip' ? getTiffBlock(exif) : null;
+  if (!tiff) {
+    return null;
+  }
+
+  try {
+    return rewriteTiffBlock(Buffer.from(tiff.buffer), tiff.littleEndian, privacy);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Insert a TIFF block as the EXIF (APP1) segment of a JPEG without
+// re-encoding it; returns the JPEG unchanged if the block does not fit
+const embedExifInJpeg = (jpeg, tiffBlock) => {
+  if (!tiffBlock || jpeg[0] !== 0xff || jpeg[1] !== 0xd8) {
+    return jpeg;
+  }
+
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiffBlock]);
+  const length = payload.length + 2;
+
+  if (length > 0xffff) {
+    return jpeg;
+  }
+
+  // Keep a leading JFIF (APP0) segment first
+  let insertAt = 2;
+  if (jpeg[2] === 0xff && jpeg[3] === 0xe0) {
+    insertAt = 4 + jpeg.readUInt16BE(4);
+  }
+
+  return Buffer.concat([
+    jpeg.subarray(0, insertAt),
+    Buffer.from([0xff, 0xe1, length >> 8, length & 0xff]),
+    payload,
+    jpeg.subarray(insertAt)
+  ]);
+};
+
+module.exports = {
+  METADATA_POLICIES,
+  GPS_POLICIES,
+  extractExif,
+  applyPrivacyToExif,
+  redactExifBlock,
+  embedExifInJpeg
+};
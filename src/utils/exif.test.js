@@ -0,0 +1,209 @@
+const { extractExif, redactExifBlock } = require('./exif');
+
+const ascii = (value) => Buffer.from(`${value}\0`, 'latin1');
+
+const short = (value) => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value);
+  return buffer;
+};
+
+const rationals = (...pairs) => {
+  const buffer = Buffer.alloc(pairs.length * 8);
+  pairs.forEach(([numerator, denominator], index) => {
+    buffer.writeUInt32BE(numerator, index * 8);
+    buffer.writeUInt32BE(denominator, index * 8 + 4);
+  });
+  return buffer;
+};
+
+const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8 };
+
+// Build a big-endian TIFF block from IFDs listed in order, IFD0 first
+// Entries are { tag, type, value: Buffer } or { tag, ifd: name } pointers
+const buildTiff = (ifds) => {
+  const names = Object.keys(ifds);
+  const offsets = {};
+  let offset = 8;
+  names.forEach(name => {
+    offsets[name] = offset;
+    offset += 2 + ifds[name].length * 12 + 4;
+  });
+
+  const dataSize = names
+    .flatMap(name => ifds[name])
+    .reduce((sum, entry) => sum + (entry.value && entry.value.length > 4 ? entry.value.length : 0), 0);
+  const buffer = Buffer.alloc(offset + dataSize);
+  buffer.write('MM', 0, 'latin1');
+  buffer.writeUInt16BE(42, 2);
+  buffer.writeUInt32BE(8, 4);
+
+  let dataOffset = offset;
+  names.forEach(name => {
+    buffer.writeUInt16BE(ifds[name].length, offsets[name]);
+    ifds[name].forEach((entry, index) => {
+      const position = offsets[name] + 2 + index * 12;
+      buffer.writeUInt16BE(entry.tag, position);
+
+      if (entry.ifd) {
+        buffer.writeUInt16BE(4, position + 2);
+        buffer.writeUInt32BE(1, position + 4);
+        buffer.writeUInt32BE(offsets[entry.ifd], position + 8);
+        return;
+      }
+
+      buffer.writeUInt16BE(entry.type, position + 2);
+      buffer.writeUInt32BE(entry.value.length / TYPE_SIZES[entry.type], position + 4);
+      if (entry.value.length <= 4) {
+        entry.value.copy(buffer, position + 8);
+      } else {
+        buffer.writeUInt32BE(dataOffset, position + 8);
+        entry.value.copy(buffer, dataOffset);
+        dataOffset += entry.value.length;
+      }
+    });
+  });
+
+  return buffer;
+};
+
+const buildPhotoExif = () => buildTiff({
+  ifd0: [
+    { tag: 0x010f, type: 2, value: ascii('Canon') },
+    { tag: 0x0110, type: 2, value: ascii('Canon EOS R5') },
+    { tag: 0x0112, type: 3, value: short(6) },
+    { tag: 0x8769, ifd: 'exif' },
+    { tag: 0x8825, ifd: 'gps' }
+  ],
+  exif: [
+    { tag: 0x829a, type: 5, value: rationals([1, 250]) },
+    { tag: 0x829d, type: 5, value: rationals([28, 10]) },
+    { tag: 0x8827, type: 3, value: short(400) },
+    { tag: 0x9003, type: 2, value: ascii('2023:05:01 14:22:10') },
+    { tag: 0x920a, type: 5, value: rationals([50, 1]) }
+  ],
+  gps: [
+    { tag: 0x0001, type: 2, value: ascii('N') },
+    { tag: 0x0002, type: 5, value: rationals([52, 1], [30, 1], [1234, 100]) },
+    { tag: 0x0003, type: 2, value: ascii('E') },
+    { tag: 0x0004, type: 5, value: rationals([13, 1], [24, 1], [5678, 100]) }
+  ]
+});
+
+describe('extractExif', () => {
+  it('reads camera, exposure, date and location', () => {
+    const exif = extractExif({ exif: buildPhotoExif() });
+
+    expect(exif).toMatchObject({
+      camera: 'Canon EOS R5',
+      focalLength: '50mm',
+      aperture: 'f/2.8',
+      shutterSpeed: '1/250s',
+      iso: '400',
+      dateTaken: new Date('2023-05-01T14:22:10Z')
+    });
+    expect(exif.location.latitude).toBeCloseTo(52.503428, 5);
+    expect(exif.location.longitude).toBeCloseTo(13.415772, 5);
+  });
+
+  it('ignores tags stored with an unexpected type', () => {
+    const exif = extractExif({
+      exif: buildTiff({
+        ifd0: [
+          { tag: 0x010f, type: 3, value: short(1) },
+          { tag: 0x0110, type: 3, value: short(2) },
+          { tag: 0x0132, type: 3, value: short(3) }
+        ]
+      })
+    });
+
+    expect(exif).toEqual({});
+  });
+});
+
+describe('redactExifBlock', () => {
+  it('keeps nothing for the strip policy', () => {
+    expect(redactExifBlock(buildPhotoExif(), { metadata: 'strip', gps: 'remove' })).toBeNull();
+  });
+
+  it('keeps camera settings and erases the date and location', () => {
+    const redacted = redactExifBlock(buildPhotoExif(), { metadata: 'camera', gps: 'remove' });
+    const exif = extractExif({ exif: redacted });
+
+    expect(exif).toMatchObject({ camera: 'Canon EOS R5', aperture: 'f/2.8', iso: '400' });
+    expect(exif.dateTaken).toBeUndefined();
+    expect(exif.location).toBeUndefined();
+    expect(redacted.includes('2023:05:01')).toBe(false);
+  });
+
+  it('removes the location but keeps the date when GPS is removed', () => {
+    const exif = extractExif({ exif: redactExifBlock(buildPhotoExif(), { metadata: 'all', gps: 'remove' }) });
+
+    expect(exif.dateTaken).toEqual(new Date('2023-05-01T14:22:10Z'));
+    expect(exif.location).toBeUndefined();
+  });
+
+  it('rounds the location when GPS is fuzzed', () => {
+    const exif = extractExif({ exif: redactExifBlock(buildPhotoExif(), { metadata: 'all', gps: 'fuzz' }) });
+
+    expect(exif.location.latitude).toBeCloseTo(52.5, 3);
+    expect(exif.location.longitude).toBeCloseTo(13.42, 3);
+  });
+
+  it('keeps the exact location when GPS is kept', () => {
+    const exif = extractExif({ exif: redactExifBlock(buildPhotoExif(), { metadata: 'all', gps: 'keep' }) });
+
+    expect(exif.location.latitude).toBeCloseTo(52.503428, 5);
+  });
+
+  it('drops a truncated IFD instead of throwing', () => {
+    // IFD0 claims two entries; the second (a GPS pointer) is cut off
+    const block = Buffer.alloc(24);
+    block.write('II', 0, 'latin1');
+    block.writeUInt16LE(42, 2);
+    block.writeUInt32LE(8, 4);
+    block.writeUInt16LE(2, 8);
+    block.writeUInt16LE(0x010f, 10);
+    block.writeUInt16LE(2, 12);
+    block.writeUInt32LE(4, 14);
+    block.write('Abc\0', 18, 'latin1');
+    block.writeUInt16LE(0x8825, 22);
+
+    expect(redactExifBlock(block, { metadata: 'all', gps: 'keep' })).toBeNull();
+  });
+
+  it('never throws on truncated or corrupted blocks', () => {
+    const block = buildPhotoExif();
+    const policies = [
+      { metadata: 'all', gps: 'keep' },
+      { metadata: 'all', gps: 'fuzz' },
+      { metadata: 'camera', gps: 'remove' }
+    ];
+
+    // Deterministic pseudo-random byte flips
+    let seed = 1;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      return seed / 0x7fffffff;
+    };
+
+    const samples = [];
+    for (let length = 0; length <= block.length; length++) {
+      samples.push(block.subarray(0, length));
+    }
+    for (let i = 0; i < 2000; i++) {
+      const sample = Buffer.from(block);
+      for (let flips = 1 + Math.floor(random() * 4); flips > 0; flips--) {
+        sample[Math.floor(random() * sample.length)] = Math.floor(random() * 256);
+      }
+      samples.push(sample);
+    }
+
+    samples.forEach(sample => {
+      policies.forEach(policy => {
+        expect(() => redactExifBlock(sample, policy)).not.toThrow();
+      });
+      expect(() => extractExif({ exif: sample })).not.toThrow();
+    });
+  });
+});
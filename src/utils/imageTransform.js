@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { ENVIRONMENT_PREFIX, OUTPUT_FORMATS, getFile, getFallbackFormat, isPrivateKey } = require('./r2');
+
+// On-demand image transforms served by GET /img/:key (see routes/images.js)
+// Only these presets can be requested, so the number of outputs per image
+// stays bounded; URLs are signed so they cannot be made up by clients
+const IMAGE_PRESETS = {
+  thumbnail: { width: 300, height: 300, fit: 'cover' },
+  small: { width: 640, fit: 'inside' },
+  medium: { width: 1280, fit: 'inside' },
+  large: { width: 2048, height: 2048, fit: 'inside' },
+  avatar: { width: 200, height: 200, fit: 'cover', position: 'attention' },
+  cover: { width: 1600, height: 900, fit: 'cover', position: 'attention' },
+  social: { width: 1200, height: 630, fit: 'cover', position: 'attention' }
+};
+
+const DEFAULT_QUALITY = 80;
+
+// Transforms currently being generated, so concurrent requests for the
+// same output share one render
+const pendingTransforms = new Map();
+
+const getSigningKey = () => {
+  return process.env.IMAGE_SIGNING_SECRET || process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+};
+
+// Base URL the /img route is served from
+const getImageUrlBase = () => {
+  return process.env.IMAGE_URL_BASE || `http://localhost:${process.env.PORT || 5000}`;
+};
+
+const getCacheDir = () => {
+  return process.env.IMAGE_CACHE_DIR || path.join(os.tmpdir(), 'lens-image-cache');
+};
+
+// Canonical form of a transform, used for signatures and cache keys
+const describeTransform = (key, { preset, format, quality }) => {
+  return `${key}\n${preset}\n${format || ''}\n${quality || ''}`;
+};
+
+const signTransform = (key, transform) => {
+  return crypto.createHmac('sha256', getSigningKey())
+    .update(describeTransform(key, transform))
+    .digest('hex')
+    .slice(0, 32);
+};
+
+// Check the signature of a transform URL
+const verifyTransformSignature = (key, transform, signature) => {
+  const expected = Buffer.from(signTransform(key, transform));
+  const actual = Buffer.from(String(signature || ''));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Only processed images can be transformed: never uploaded originals,
+// which are not meant to be served
+const isTransformableKey = (key) => {
+  return key.startsWith(`${ENVIRONMENT_PREFIX}/`) && !key.includes('..') && !isPrivateKey(key);
+};
+
+// Get the error message for invalid transform parameters, if any
+const validateTransform = ({ preset, format, quality }) => {
+  if (!IMAGE_PRESETS[preset]) {
+    return `Preset must be one of: ${Object.keys(IMAGE_PRESETS).join(', ')}`;
+  }
+  if (format && !OUTPUT_FORMATS[format]) {
+    return `Format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`;
+  }
+  if (quality && !(/^\d+$/.test(quality) && quality >= 1 && quality <= 100)) {
+    return 'Quality must be an integer between 1 and 100';
+  }
+  return null;
+};
+
+// Pick a preset for width/height style transformations
+// The narrowest non-cropping preset at least as wide as requested is used
+const resolvePreset = (transformations) => {
+  if (transformations.preset) {
+    return IMAGE_PRESETS[transformations.preset] ? transformations.preset : null;
+  }
+
+  const width = parseInt(transformations.width, 10) || 0;
+  const candidates = Object.entries(IMAGE_PRESETS)
+    .filter(([, preset]) => preset.fit === 'inside')
+    .sort(([, a], [, b]) => a.width - b.width);
+  const match = candidates.find(([, preset]) => preset.width >= width) || candidates[candidates.length - 1];
+
+  return match[0];
+};
+
+// Build a signed transform URL for a stored image
+// transformations: { preset } or { width }, plus optional format and quality
+// Returns null for keys that cannot be transformed
+const buildImageUrl = (key, transformations = {}) => {
+  const preset = resolvePreset(transformations);
+
+  if (!key || !preset || !isTransformableKey(key)) {
+    return null;
+  }
+
+  const transform = {
+    preset,
+    format: transformations.format === 'jpeg' ? 'jpg' : transformations.format,
+    quality: transformations.quality ? String(transformations.quality) : undefined
+  };
+
+  const params = new URLSearchParams({ preset });
+  if (transform.format) {
+    params.append('format', transform.format);
+  }
+  if (transform.quality) {
+    params.append('quality', transform.quality);
+  }
+  params.append('sig', signTransform(key, transform));
+
+  return `${getImageUrlBase()}/img/${key}?${params.toString()}`;
+};
+
+// Render a transform of a stored image
+const renderTransform = async(key, { preset, format, quality }) => {
+  const source = await getFile(key);
+  const image = sharp(source.body);
+  const metadata = await image.metadata();
+  const outputFormat = format || getFallbackFormat(metadata);
+  const { width, height, fit, position } = IMAGE_PRESETS[preset];
+
+  const body = await OUTPUT_FORMATS[outputFormat]
+    .encode(
+      image.rotate().resize(width, height, { fit, position, withoutEnlargement: true }),
+      parseInt(quality, 10) || DEFAULT_QUALITY
+    )
+    .toBuffer();
+
+  return { body, format: outputFormat, contentType: OUTPUT_FORMATS[outputFormat].contentType };
+};
+
+// Get a transform of a stored image, from the disk cache when possible
+// Cached files are named by a hash of the transform plus the output format.
+// Reprocessed photos are stored under new keys, so entries never go stale
+// and only expire through pruneImageCache
+const getTransformedImage = async(key, transform) => {
+  const cacheName = crypto.createHash('sha256').update(describeTransform(key, transform)).digest('hex');
+
+  if (pendingTransforms.has(cacheName)) {
+    return pendingTransforms.get(cacheName);
+  }
+
+  const pending = (async() => {
+    const cacheDir = getCacheDir();
+
+    // Without an explicit format the output format depends on the source
+    const candidateFormats = transform.format ? [transform.format] : Object.keys(OUTPUT_FORMATS);
+    for (const format of candidateFormats) {
+      const body = await fs.promises.readFile(path.join(cacheDir, `${cacheName}.${format}`)).catch(() => null);
+
+      if (body) {
+        return { body, contentType: OUTPUT_FORMATS[format].contentType, cached: true };
+      }
+    }
+
+    const result = await renderTransform(key, transform);
+    const cachePath = path.join(cacheDir, `${cacheName}.${result.format}`);
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+
+    // Write then rename, so readers never see a partial file
+    try {
+      await fs.promises.mkdir(cacheDir, { recursive: true });
+      await fs.promises.writeFile(tempPath, result.body);
+      await fs.promises.rename(tempPath, cachePath);
+    } catch (error) {
+      console.error('Image cache write error:', error.message);
+    }
+
+    return { ...result, cached: false };
+  })();
+
+  pendingTransforms.set(cacheName, pending);
+  try {
+    return await pending;
+  } finally {
+    pendingTransforms.delete(cacheName);
+  }
+};
+
+// Remove cached transforms older than maxAge (milliseconds)
+// Returns the number of files removed
+const pruneImageCache = async(maxAge) => {
+  const cacheDir = getCacheDir();
+  const entries = await fs.promises.readdir(cacheDir).catch(() => []);
+  const cutoff = Date.now() - maxAge;
+  let removed = 0;
+
+  for (const entry of entries) {
+    const filePath = path.join(cacheDir, entry);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+
+    if (stats && stats.mtimeMs < cutoff) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      removed += 1;
+    }
+  }
+
+  return removed;
+};
+
+module.exports = {
+  IMAGE_PRESETS,
+  buildImageUrl,
+  validateTransform,
+  verifyTransformSignature,
+  isTransformableKey,
+  getTransformedImage,
+  pruneImageCache
+};
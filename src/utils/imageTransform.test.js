@@ -0,0 +1,91 @@
+jest.mock('sharp', () => jest.fn());
+
+const { ENVIRONMENT_PREFIX } = require('./r2');
+const { buildImageUrl, verifyTransformSignature, validateTransform, isTransformableKey } = require('./imageTransform');
+
+const key = `${ENVIRONMENT_PREFIX}/photos/owner/photo.jpg`;
+
+// Split a built URL into the stored key, the transform and its signature
+const parseImageUrl = (url) => {
+  const { pathname, searchParams } = new URL(url);
+  return {
+    key: decodeURIComponent(pathname.replace(/^\/img\//, '')),
+    transform: {
+      preset: searchParams.get('preset'),
+      format: searchParams.get('format') || undefined,
+      quality: searchParams.get('quality') || undefined
+    },
+    signature: searchParams.get('sig')
+  };
+};
+
+const { IMAGE_SIGNING_SECRET } = process.env;
+
+beforeEach(() => {
+  process.env.IMAGE_SIGNING_SECRET = 'test-signing-secret';
+});
+
+afterAll(() => {
+  if (IMAGE_SIGNING_SECRET === undefined) {
+    delete process.env.IMAGE_SIGNING_SECRET;
+  } else {
+    process.env.IMAGE_SIGNING_SECRET = IMAGE_SIGNING_SECRET;
+  }
+});
+
+describe('buildImageUrl', () => {
+  it('builds URLs whose signature verifies', () => {
+    const url = parseImageUrl(buildImageUrl(key, { preset: 'medium', format: 'webp', quality: 70 }));
+
+    expect(url.key).toBe(key);
+    expect(url.transform).toEqual({ preset: 'medium', format: 'webp', quality: '70' });
+    expect(verifyTransformSignature(url.key, url.transform, url.signature)).toBe(true);
+  });
+
+  it('picks the narrowest preset at least as wide as requested', () => {
+    expect(parseImageUrl(buildImageUrl(key, { width: 800 })).transform.preset).toBe('medium');
+    expect(parseImageUrl(buildImageUrl(key, { width: 5000 })).transform.preset).toBe('large');
+  });
+
+  it('refuses originals and keys outside the environment', () => {
+    expect(buildImageUrl(`${ENVIRONMENT_PREFIX}/originals/owner/photo_original.jpg`, { preset: 'small' })).toBeNull();
+    expect(buildImageUrl('other/photos/owner/photo.jpg', { preset: 'small' })).toBeNull();
+    expect(buildImageUrl(key, { preset: 'huge' })).toBeNull();
+  });
+});
+
+describe('verifyTransformSignature', () => {
+  it('rejects signatures for another key or transform', () => {
+    const url = parseImageUrl(buildImageUrl(key, { preset: 'small' }));
+
+    expect(verifyTransformSignature(`${ENVIRONMENT_PREFIX}/photos/owner/other.jpg`, url.transform, url.signature)).toBe(false);
+    expect(verifyTransformSignature(key, { ...url.transform, preset: 'large' }, url.signature)).toBe(false);
+    expect(verifyTransformSignature(key, { ...url.transform, quality: '100' }, url.signature)).toBe(false);
+  });
+
+  it('rejects missing, malformed and differently keyed signatures', () => {
+    const url = parseImageUrl(buildImageUrl(key, { preset: 'small' }));
+
+    expect(verifyTransformSignature(key, url.transform, undefined)).toBe(false);
+    expect(verifyTransformSignature(key, url.transform, 'abc')).toBe(false);
+
+    process.env.IMAGE_SIGNING_SECRET = 'another-secret';
+    expect(verifyTransformSignature(key, url.transform, url.signature)).toBe(false);
+  });
+});
+
+describe('validateTransform', () => {
+  it('only accepts whitelisted presets, formats and qualities', () => {
+    expect(validateTransform({ preset: 'thumbnail', format: 'avif', quality: '50' })).toBeNull();
+    expect(validateTransform({ preset: 'huge' })).toMatch(/Preset/);
+    expect(validateTransform({ preset: 'small', format: 'bmp' })).toMatch(/Format/);
+    expect(validateTransform({ preset: 'small', quality: '0' })).toMatch(/Quality/);
+    expect(validateTransform({ preset: 'small', quality: '50.5' })).toMatch(/Quality/);
+  });
+});
+
+describe('isTransformableKey', () => {
+  it('rejects path traversal', () => {
+    expect(isTransformableKey(`${ENVIRONMENT_PREFIX}/photos/../originals/photo.jpg`)).toBe(false);
+  });
+});
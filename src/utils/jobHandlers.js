@@ -0,0 +1,6 @@
+// Registers every background job handler
+// Required by both the API server and the standalone worker, so whichever
+// runs the queue can run every job type
+require('./photoProcessing');
+require('./deletion');
+require('./trash');
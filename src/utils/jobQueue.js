@@ -0,0 +1,136 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+const handlers = new Map();
+
+let running = false;
+let pollTimer = null;
+let idleResolvers = [];
+let activeJobs = 0;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+// Register the function that runs jobs of a type
+// Handlers receive (payload, job) and throw to have the job retried
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+// Add a job to the queue
+const enqueueJob = (type, payload, options) => {
+  return Job.enqueue(type, payload, options);
+};
+
+// Run a job of a type every interval (milliseconds) on whichever worker is
+// free, rather than in every process
+const scheduleRecurringJob = (type, interval) => {
+  return Job.schedule(type, interval);
+};
+
+// Run a claimed job and record the outcome
+// The job's lock is refreshed while the handler runs, however long it takes
+const runJob = async(job) => {
+  const handler = handlers.get(job.type);
+  const heartbeat = setInterval(() => {
+    job.refreshLock().catch(error => console.error(`Job ${job._id} lock refresh error:`, error.message));
+  }, Job.getHeartbeatInterval());
+  heartbeat.unref();
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+
+    await handler(job.payload, job);
+    await job.markCompleted();
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+    await job.markFailed(error);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Claim and run the next due job
+// Returns false when there was nothing to do
+const processNextJob = async() => {
+  const job = await Job.claimNext(workerId, [...handlers.keys()]);
+
+  if (!job) {
+    return false;
+  }
+
+  activeJobs += 1;
+  try {
+    await runJob(job);
+  } finally {
+    activeJobs -= 1;
+    if (activeJobs === 0) {
+      idleResolvers.forEach(resolve => resolve());
+      idleResolvers = [];
+    }
+  }
+
+  return true;
+};
+
+// Run due jobs until the queue is empty, then wait for the next poll
+const poll = async(interval) => {
+  pollTimer = null;
+
+  try {
+    await Job.failAbandoned();
+
+    // stopJobWorker() can clear `running` while a job is in progress
+    for (;;) {
+      if (!running || !(await processNextJob())) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error('Job worker error:', error.message);
+  }
+
+  if (running) {
+    pollTimer = setTimeout(() => poll(interval), interval);
+    pollTimer.unref();
+  }
+};
+
+// Start polling the queue in this process
+// Jobs run one at a time, since image processing is CPU bound
+const startJobWorker = (options = {}) => {
+  if (running) {
+    return;
+  }
+
+  const interval = options.pollInterval || parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+
+  running = true;
+  poll(interval);
+};
+
+// Stop polling and wait for the job in progress to finish
+const stopJobWorker = () => {
+  running = false;
+
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  if (activeJobs === 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => idleResolvers.push(resolve));
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  scheduleRecurringJob,
+  processNextJob,
+  startJobWorker,
+  stopJobWorker
+};
@@ -0,0 +1,123 @@
+const Job = require('../models/Job');
+const { registerJobHandler, processNextJob } = require('./jobQueue');
+
+const createJob = (fields = {}) => new Job({
+  type: 'test.recurring',
+  status: 'running',
+  attempts: 1,
+  lockedBy: 'worker',
+  ...fields
+});
+
+// Get the $set of the update that recorded the job outcome
+const getOutcome = () => Job.updateOne.mock.calls[0][1].$set;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+});
+
+describe('recurring jobs', () => {
+  it('are queued for the next interval instead of completing', async() => {
+    const handler = jest.fn();
+    registerJobHandler('test.recurring', handler);
+    jest.spyOn(Job, 'claimNext').mockResolvedValue(createJob({ interval: 60000 }));
+
+    const before = Date.now();
+    await processNextJob();
+
+    expect(handler).toHaveBeenCalled();
+    const outcome = getOutcome();
+    expect(outcome).toMatchObject({ status: 'queued', attempts: 0 });
+    expect(outcome.completedAt).toBeUndefined();
+    expect(outcome.runAt.getTime()).toBeGreaterThanOrEqual(before + 60000);
+  });
+
+  it('wait for the next interval after their last failed attempt', async() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    registerJobHandler('test.recurring', () => {
+      throw new Error('Storage unavailable');
+    });
+    jest.spyOn(Job, 'claimNext').mockResolvedValue(createJob({ interval: 60000, attempts: 5, maxAttempts: 5 }));
+
+    await processNextJob();
+
+    expect(getOutcome()).toMatchObject({ status: 'queued', attempts: 0, lastError: 'Storage unavailable' });
+  });
+
+  it('leave one-off jobs failing for good after their last attempt', async() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    registerJobHandler('test.once', () => {
+      throw new Error('Storage unavailable');
+    });
+    jest.spyOn(Job, 'claimNext').mockResolvedValue(createJob({ type: 'test.once', attempts: 5, maxAttempts: 5 }));
+
+    await processNextJob();
+
+    expect(getOutcome()).toMatchObject({ status: 'failed' });
+  });
+});
+
+describe('timed-out jobs', () => {
+  it('are only claimed again while they have attempts left', async() => {
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await Job.claimNext('worker', ['test.once']);
+
+    const [filter] = Job.findOneAndUpdate.mock.calls[0];
+    const timedOut = filter.$or.find(branch => branch.status === 'running');
+    expect(timedOut.$expr).toEqual({ $lt: ['$attempts', '$maxAttempts'] });
+  });
+
+  it('are failed once they have used their last attempt', async() => {
+    jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(Job.failAbandoned()).resolves.toBe(2);
+
+    const [[oneOffFilter, oneOffUpdate], [recurringFilter, recurringUpdate]] = Job.updateMany.mock.calls;
+    expect(oneOffFilter).toMatchObject({
+      status: 'running',
+      interval: { $exists: false },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    });
+    expect(oneOffUpdate.$set).toMatchObject({ status: 'failed' });
+    expect(recurringFilter.interval).toEqual({ $exists: true });
+    expect(recurringUpdate[0].$set).toMatchObject({ status: 'queued', attempts: 0 });
+  });
+});
+
+describe('running jobs', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('refresh their lock until the handler finishes', async() => {
+    jest.useFakeTimers();
+    let finish;
+    let started;
+    const handlerStarted = new Promise(resolve => {
+      started = resolve;
+    });
+    registerJobHandler('test.slow', () => {
+      started();
+      return new Promise(resolve => {
+        finish = resolve;
+      });
+    });
+    jest.spyOn(Job, 'claimNext').mockResolvedValue(createJob({ type: 'test.slow' }));
+
+    const processing = processNextJob();
+    await handlerStarted;
+    jest.advanceTimersByTime(Job.getHeartbeatInterval() * 2);
+
+    const refreshes = Job.updateOne.mock.calls.filter(([, update]) => update.$set.lockedAt);
+    expect(refreshes).toHaveLength(2);
+    expect(refreshes[0][0]).toMatchObject({ status: 'running', lockedBy: 'worker' });
+
+    finish();
+    await processing;
+    jest.advanceTimersByTime(Job.getHeartbeatInterval() * 2);
+
+    expect(Job.updateOne).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,145 @@
+const sharp = require('sharp');
+
+// Perceptual hashes (dHash) identify the same shot across re-exports,
+// resizes and recompression: each of the 64 bits records whether a pixel
+// of a 9x8 greyscale thumbnail is brighter than its right neighbour
+
+const DEFAULT_DUPLICATE_THRESHOLD = 8;
+
+// Beyond this many bits unrelated photos start to match, and lookups through
+// hash bands (below) stop being selective
+const MAX_DUPLICATE_THRESHOLD = 16;
+
+// Largest Hamming distance (out of 64 bits) treated as a likely duplicate
+const getDuplicateThreshold = () => {
+  const threshold = parseInt(process.env.DUPLICATE_HASH_THRESHOLD, 10);
+
+  if (Number.isNaN(threshold)) {
+    return DEFAULT_DUPLICATE_THRESHOLD;
+  }
+  return Math.min(Math.max(threshold, 0), MAX_DUPLICATE_THRESHOLD);
+};
+
+// Compute the dHash of an image as a 16 character hex string
+const computePerceptualHash = async(buffer) => {
+  const data = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hex = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      byte = (byte << 1) | (data[row * 9 + col] > data[row * 9 + col + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+
+  return hex;
+};
+
+const popCount = (value) => {
+  let count = 0;
+  for (let bits = value >>> 0; bits; bits &= bits - 1) {
+    count += 1;
+  }
+  return count;
+};
+
+// Split a hash into its two 32-bit halves, for comparing it many times
+const parseHash = (hash) => [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8), 16)];
+
+// Number of differing bits between two hashes (hex strings or parsed halves)
+const hammingDistance = (hashA, hashB) => {
+  const [highA, lowA] = typeof hashA === 'string' ? parseHash(hashA) : hashA;
+  const [highB, lowB] = typeof hashB === 'string' ? parseHash(hashB) : hashB;
+  return popCount(highA ^ highB) + popCount(lowA ^ lowB);
+};
+
+// Hashes are also stored as four 16-bit bands, prefixed with their position
+// (e.g. '2f0c1'), so similar hashes can be looked up through an index: two
+// hashes within `threshold` bits differ in at most threshold / 4 bits in at
+// least one band
+const HASH_BAND_COUNT = 4;
+const HASH_BAND_BITS = 16;
+
+const getHashBands = (hash) => {
+  const bands = [];
+  for (let band = 0; band < HASH_BAND_COUNT; band++) {
+    bands.push(`${band}${hash.slice(band * 4, band * 4 + 4)}`);
+  }
+  return bands;
+};
+
+// Masks of HASH_BAND_BITS bits with at most `bits` bits set, by bit count
+const bandMasks = new Map();
+const getBandMasks = (bits) => {
+  if (!bandMasks.has(bits)) {
+    const masks = [];
+    for (let mask = 0; mask < 2 ** HASH_BAND_BITS; mask++) {
+      if (popCount(mask) <= bits) {
+        masks.push(mask);
+      }
+    }
+    bandMasks.set(bits, masks);
+  }
+  return bandMasks.get(bits);
+};
+
+// Bands that any hash within `threshold` bits of `hash` has at least one of
+const getSimilarHashBands = (hash, threshold = getDuplicateThreshold()) => {
+  const masks = getBandMasks(Math.floor(Math.min(threshold, MAX_DUPLICATE_THRESHOLD) / HASH_BAND_COUNT));
+
+  return getHashBands(hash).flatMap(band => {
+    const value = parseInt(band.slice(1), 16);
+    return masks.map(mask => `${band[0]}${(value ^ mask).toString(16).padStart(4, '0')}`);
+  });
+};
+
+// Group items whose hashes are within `threshold` of each other (directly
+// or through other items); returns only groups of two or more
+// getHash maps an item to its hash
+const clusterByHash = (items, getHash, threshold = getDuplicateThreshold()) => {
+  const parents = items.map((item, index) => index);
+  const find = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+
+  const hashes = items.map(item => parseHash(getHash(item)));
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (hammingDistance(hashes[i], hashes[j]) <= threshold) {
+        parents[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(item);
+  });
+
+  return [...groups.values()].filter(group => group.length > 1);
+};
+
+module.exports = {
+  MAX_DUPLICATE_THRESHOLD,
+  getDuplicateThreshold,
+  computePerceptualHash,
+  hammingDistance,
+  getHashBands,
+  getSimilarHashBands,
+  clusterByHash
+};
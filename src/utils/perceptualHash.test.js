@@ -0,0 +1,107 @@
+jest.mock('sharp', () => jest.fn());
+
+const {
+  MAX_DUPLICATE_THRESHOLD,
+  getDuplicateThreshold,
+  hammingDistance,
+  getHashBands,
+  getSimilarHashBands,
+  clusterByHash
+} = require('./perceptualHash');
+
+// Flip the given bit positions (0 = most significant) of a hex hash
+const flipBits = (hash, positions) => {
+  let value = BigInt(`0x${hash}`);
+  positions.forEach(position => {
+    value ^= 1n << BigInt(63 - position);
+  });
+  return value.toString(16).padStart(16, '0');
+};
+
+const HASH = 'f0e1d2c3b4a59687';
+
+describe('getDuplicateThreshold', () => {
+  const previous = process.env.DUPLICATE_HASH_THRESHOLD;
+
+  afterAll(() => {
+    if (previous === undefined) {
+      delete process.env.DUPLICATE_HASH_THRESHOLD;
+    } else {
+      process.env.DUPLICATE_HASH_THRESHOLD = previous;
+    }
+  });
+
+  it('keeps 0 and caps large values', () => {
+    process.env.DUPLICATE_HASH_THRESHOLD = '0';
+    expect(getDuplicateThreshold()).toBe(0);
+
+    process.env.DUPLICATE_HASH_THRESHOLD = '40';
+    expect(getDuplicateThreshold()).toBe(MAX_DUPLICATE_THRESHOLD);
+  });
+
+  it('falls back to the default when unset or invalid', () => {
+    delete process.env.DUPLICATE_HASH_THRESHOLD;
+    expect(getDuplicateThreshold()).toBe(8);
+
+    process.env.DUPLICATE_HASH_THRESHOLD = 'many';
+    expect(getDuplicateThreshold()).toBe(8);
+  });
+});
+
+describe('hammingDistance', () => {
+  it('counts differing bits in both halves', () => {
+    expect(hammingDistance(HASH, HASH)).toBe(0);
+    expect(hammingDistance(HASH, flipBits(HASH, [0, 31, 32, 63]))).toBe(4);
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+  });
+});
+
+describe('hash bands', () => {
+  it('split the hash into four positioned 16-bit bands', () => {
+    expect(getHashBands(HASH)).toEqual(['0f0e1', '1d2c3', '2b4a5', '39687']);
+  });
+
+  it('always share a band with a hash within the threshold', () => {
+    const similarBands = new Set(getSimilarHashBands(HASH, 8));
+    const near = [
+      flipBits(HASH, [0, 1, 2, 16, 17, 18, 32, 33]),
+      flipBits(HASH, [0, 1, 16, 17, 32, 33, 48, 49]),
+      flipBits(HASH, [5, 6, 7, 8, 9, 10, 11, 12])
+    ];
+
+    near.forEach(hash => {
+      expect(hammingDistance(HASH, hash)).toBeLessThanOrEqual(8);
+      expect(getHashBands(hash).some(band => similarBands.has(band))).toBe(true);
+    });
+  });
+
+  it('leave out hashes that differ in every band', () => {
+    const similarBands = new Set(getSimilarHashBands(HASH, 8));
+    const far = flipBits(HASH, [0, 1, 2, 16, 17, 18, 32, 33, 34, 48, 49, 50]);
+
+    expect(getHashBands(far).some(band => similarBands.has(band))).toBe(false);
+  });
+});
+
+describe('clusterByHash', () => {
+  const photo = (id, hash) => ({ id, hash });
+
+  it('groups photos linked directly or through others and drops singletons', () => {
+    const a = photo('a', HASH);
+    const b = photo('b', flipBits(HASH, [0, 1, 2]));
+    const c = photo('c', flipBits(HASH, [0, 1, 2, 3, 4, 5]));
+    const unrelated = photo('d', flipBits(HASH, [...Array(32).keys()]));
+
+    const clusters = clusterByHash([a, b, c, unrelated], item => item.hash, 3);
+
+    expect(clusters).toEqual([[a, b, c]]);
+  });
+
+  it('only groups identical hashes with a threshold of 0', () => {
+    const a = photo('a', HASH);
+    const b = photo('b', HASH);
+    const c = photo('c', flipBits(HASH, [10]));
+
+    expect(clusterByHash([a, b, c], item => item.hash, 0)).toEqual([[a, b]]);
+  });
+});
@@ -0,0 +1,195 @@
+const Photo = require('../models/Photo');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { adjustStorage } = require('./storageQuota');
+const { processAndUploadImage, getFile, getImageMetadata, deleteFromR2, getDerivativeKeyBase } = require('./r2');
+const { findUnreferencedKeys } = require('./storageReconciliation');
+
+const PHOTO_PROCESSING_JOB = 'photo.process';
+
+// Queue web derivative generation for a newly uploaded photo
+const enqueuePhotoProcessing = (photo) => {
+  return enqueueJob(PHOTO_PROCESSING_JOB, { photoId: photo._id.toString() }, { subject: photo._id });
+};
+
+// Get the key prefix for a photo's derivatives
+// Reprocessed photos get new keys, so CDN and transform caches never serve
+// the previous files (e.g. with the old watermark or location data)
+const getRenderKeyBase = (photo) => {
+  if (!photo.processing.processedAt) {
+    return photo.getKeyBase();
+  }
+  return `${getDerivativeKeyBase(photo.originalKey)}_${Date.now().toString(36)}`;
+};
+
+// Get the watermark to draw on a photo's derivatives, with the owner's logo
+const loadWatermark = async(photo, owner) => {
+  const watermark = photo.getWatermark();
+
+  if (!watermark) {
+    return null;
+  }
+
+  let logo = null;
+  if (watermark.logo && owner && owner.r2 && owner.r2.watermarkLogoKey) {
+    const file = await getFile(owner.r2.watermarkLogoKey);
+    const metadata = await getImageMetadata(file.body);
+    logo = { data: file.body, width: metadata.width, height: metadata.height };
+  }
+
+  return watermark.text || logo ? { ...watermark, logo } : null;
+};
+
+// Generate the processed image, thumbnail, variants, color palette, placeholder and EXIF data
+// from the stored original and update the photo's processing state
+const processPhoto = async({ photoId }, job) => {
+  // Trashed photos are processed too, so they are complete if restored
+  const photo = await Photo.findById(photoId).withDeleted();
+
+  // Photo was deleted before it was processed
+  if (!photo) {
+    return;
+  }
+
+  const owner = await User.findById(photo.user).select('preferences r2');
+
+  await Photo.updateOne(
+    { _id: photo._id },
+    { $set: { 'processing.status': 'processing' } }
+  );
+
+  let uploadResult;
+  let original;
+
+  try {
+    original = await getFile(photo.originalKey);
+    const watermark = await loadWatermark(photo, owner);
+
+    uploadResult = await processAndUploadImage(original.body, {
+      userId: photo.user,
+      keyBase: getRenderKeyBase(photo),
+      originalName: photo.title,
+      quality: 85,
+      maxWidth: 2048,
+      maxHeight: 2048,
+      generateThumbnail: true,
+      thumbnailSize: 300,
+      extractColors: true,
+      privacy: photo.getPrivacyPolicy(owner),
+      watermark
+    });
+  } catch (error) {
+    await Photo.updateOne(
+      { _id: photo._id },
+      {
+        $set: {
+          'processing.status': job && job.isLastAttempt() ? 'failed' : 'pending',
+          'processing.error': error.message
+        }
+      }
+    );
+    throw error;
+  }
+
+  // Bytes of every file the photo now has in storage
+  const storageSize = original.body.length +
+    uploadResult.thumbnail.size +
+    [...uploadResult.formats, ...uploadResult.variants].reduce((sum, file) => sum + file.size, 0);
+
+  // Returns the photo as it was before the update
+  const previous = await Photo.findOneAndUpdate(
+    { _id: photo._id },
+    {
+      $set: {
+        url: uploadResult.mainImage.url,
+        publicId: uploadResult.mainImage.key,
+        thumbnail: uploadResult.thumbnail.url,
+        'metadata.width': uploadResult.mainImage.width,
+        'metadata.height': uploadResult.mainImage.height,
+        'metadata.format': uploadResult.mainImage.format,
+        'metadata.size': uploadResult.mainImage.size,
+        'metadata.exif': uploadResult.exif,
+        'original.size': uploadResult.metadata.originalSize,
+        'original.format': uploadResult.metadata.originalFormat,
+        formats: uploadResult.formats,
+        variants: uploadResult.variants,
+        colorPalette: uploadResult.colorPalette,
+        placeholder: uploadResult.placeholder,
+        storageSize,
+        'processing.status': 'completed',
+        'processing.processedAt': new Date()
+      },
+      $unset: { 'processing.error': 1 }
+    }
+  ).select('storageSize').withDeleted();
+
+  const uploadedKeys = [
+    uploadResult.thumbnail.key,
+    ...uploadResult.formats.map(format => format.key),
+    ...uploadResult.variants.map(variant => variant.key)
+  ];
+
+  // Photo was deleted while it was being processed
+  if (!previous) {
+    await Promise.all(uploadedKeys.map(key => deleteFromR2(key)));
+    return;
+  }
+
+  // Renditions count against the quota too, replacing any previous ones;
+  // they come from an accepted upload, so the quota is not enforced here
+  await adjustStorage(photo.user, storageSize - (previous.storageSize || 0));
+
+  // Remove files that are no longer generated, e.g. after the variant
+  // ladder or output formats changed, unless another photo still uses them
+  // (duplicates share their source's files)
+  const staleKeys = await findUnreferencedKeys(photo.getStorageKeys()
+    .filter(key => key !== photo.originalKey && !uploadedKeys.includes(key)));
+  await Promise.all(staleKeys.map(key => deleteFromR2(key)));
+};
+
+// Queue reprocessing of photos, e.g. after their privacy policy or
+// watermark changed; derivatives are regenerated from the original, so
+// photos without one are not queued (check Photo#canRerender first)
+// Returns the ids of the queued photos
+const enqueuePhotoReprocessing = async(photoIds) => {
+  if (photoIds.length === 0) {
+    return [];
+  }
+
+  const photos = await Photo.find({ _id: { $in: photoIds }, originalKey: { $ne: null } }).select('_id');
+  const queuedIds = photos.map(photo => photo._id);
+
+  await Photo.updateMany(
+    { _id: { $in: queuedIds } },
+    { $set: { 'processing.status': 'pending' } }
+  );
+
+  await Promise.all(photos.map(photo => enqueuePhotoProcessing(photo)));
+
+  return queuedIds;
+};
+
+// Get the processing state of a photo for polling clients
+const getProcessingStatus = async(photo) => {
+  const job = await Job.findLatestFor(PHOTO_PROCESSING_JOB, photo._id);
+
+  return {
+    status: photo.processing.status,
+    error: photo.processing.error,
+    processedAt: photo.processing.processedAt,
+    attempts: job ? job.attempts : 0,
+    maxAttempts: job ? job.maxAttempts : 0,
+    nextAttemptAt: job && job.status === 'queued' ? job.runAt : null
+  };
+};
+
+registerJobHandler(PHOTO_PROCESSING_JOB, processPhoto);
+
+module.exports = {
+  PHOTO_PROCESSING_JOB,
+  enqueuePhotoProcessing,
+  enqueuePhotoReprocessing,
+  processPhoto,
+  getProcessingStatus
+};
@@ -0,0 +1,51 @@
+jest.mock('sharp', () => jest.fn());
+
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const Job = require('../models/Job');
+const { PHOTO_PROCESSING_JOB, enqueuePhotoReprocessing } = require('./photoProcessing');
+
+// A query stand-in that resolves to `result` however it is chained
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Photo, 'updateMany').mockResolvedValue({});
+  jest.spyOn(Job, 'create').mockImplementation(docs => Promise.resolve(docs));
+});
+
+describe('enqueuePhotoReprocessing', () => {
+  it('only queues and marks pending the photos that have an original', async() => {
+    const withOriginal = new mongoose.Types.ObjectId();
+    const withoutOriginal = new mongoose.Types.ObjectId();
+    jest.spyOn(Photo, 'find').mockReturnValue(query([{ _id: withOriginal }]));
+
+    const queuedIds = await enqueuePhotoReprocessing([withOriginal, withoutOriginal]);
+
+    expect(queuedIds).toEqual([withOriginal]);
+    expect(Photo.find.mock.calls[0][0]).toMatchObject({ originalKey: { $ne: null } });
+    expect(Photo.updateMany.mock.calls[0][0]).toEqual({ _id: { $in: [withOriginal] } });
+    expect(Job.create).toHaveBeenCalledTimes(1);
+    expect(Job.create.mock.calls[0][0][0]).toMatchObject({ type: PHOTO_PROCESSING_JOB, subject: withOriginal });
+  });
+
+  it('queues nothing for an empty list', async() => {
+    jest.spyOn(Photo, 'find');
+
+    await expect(enqueuePhotoReprocessing([])).resolves.toEqual([]);
+    expect(Photo.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('Photo#canRerender', () => {
+  it('requires a stored original', () => {
+    expect(new Photo({ originalKey: 'test/originals/owner/photo_original.jpg' }).canRerender()).toBe(true);
+    expect(new Photo({}).canRerender()).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+const Like = require('../models/Like');
+const Photo = require('../models/Photo');
+const Portfolio = require('../models/Portfolio');
+
+// Get the ID of a possibly populated reference
+const getRefId = (ref) => (ref && ref._id ? ref._id : ref);
+
+const isOwner = (photo, viewer) => {
+  return Boolean(viewer) && getRefId(photo.user).toString() === viewer._id.toString();
+};
+
+// Get the IDs of the given portfolios that allow showing photo metadata
+const findPortfoliosShowingMetadata = async(portfolioIds) => {
+  if (portfolioIds.length === 0) {
+    return new Set();
+  }
+
+  const portfolios = await Portfolio.find({
+    _id: { $in: portfolioIds },
+    'settings.showMetadata': true
+  }).select('_id');
+
+  return new Set(portfolios.map(portfolio => portfolio._id.toString()));
+};
+
+// Image formats a client can negotiate, best first
+const NEGOTIABLE_IMAGE_FORMATS = [
+  { format: 'avif', contentType: 'image/avif' },
+  { format: 'webp', contentType: 'image/webp' }
+];
+
+// Get the best image format an Accept header explicitly lists
+// Wildcards are ignored, since every client can display the fallback format
+const negotiateImageFormat = (accept) => {
+  const acceptedTypes = (accept || '')
+    .split(',')
+    .map(part => {
+      const [type, ...params] = part.split(';').map(value => value.trim().toLowerCase());
+      const quality = params.find(param => param.startsWith('q='));
+      return { type, quality: quality ? parseFloat(quality.slice(2)) : 1 };
+    })
+    .filter(({ quality }) => quality > 0)
+    .map(({ type }) => type);
+
+  const match = NEGOTIABLE_IMAGE_FORMATS.find(({ contentType }) => acceptedTypes.includes(contentType));
+  return match ? match.format : null;
+};
+
+// Point a serialized photo's url and srcset at another generated format
+const applyImageFormat = (photo, format) => {
+  const rendition = (photo.formats || []).find(entry => entry.format === format);
+
+  if (rendition) {
+    photo.url = rendition.url;
+    photo.srcset = Photo.buildSrcset(photo.variants || [], format) || photo.srcset;
+  }
+};
+
+// Serialize photos for a response to the given viewer (null if anonymous)
+// - likedByMe is added for authenticated viewers
+// - EXIF data is only shown to non-owners when both the photo's and its
+//   portfolio's showMetadata settings allow it
+// - originalKey is only shown to the owner
+// - options.imageFormat (see negotiateImageFormat) switches url and srcset
+//   to that format where it was generated
+const serializePhotos = async(photos, viewer, options = {}) => {
+  const objects = photos.map(photo => (photo.toObject ? photo.toObject() : { ...photo }));
+
+  if (viewer) {
+    const likedIds = await Like.findLikedPhotoIds(viewer._id, objects.map(photo => photo._id));
+    objects.forEach(photo => {
+      photo.likedByMe = likedIds.has(photo._id.toString());
+    });
+  }
+
+  if (options.imageFormat) {
+    objects.forEach(photo => applyImageFormat(photo, options.imageFormat));
+  }
+
+  // The unwatermarked original is only available to the owner
+  objects.forEach(photo => {
+    if (!isOwner(photo, viewer)) {
+      delete photo.originalKey;
+    }
+  });
+
+  const restricted = objects.filter(photo => !isOwner(photo, viewer) && photo.metadata && photo.metadata.exif);
+
+  if (restricted.length > 0) {
+    const showingPortfolios = await findPortfoliosShowingMetadata(
+      restricted.filter(photo => photo.settings && photo.settings.showMetadata).map(photo => getRefId(photo.portfolio))
+    );
+
+    restricted.forEach(photo => {
+      const showMetadata = photo.settings && photo.settings.showMetadata &&
+        showingPortfolios.has(getRefId(photo.portfolio).toString());
+
+      if (!showMetadata) {
+        photo.metadata = { ...photo.metadata };
+        delete photo.metadata.exif;
+      }
+    });
+  }
+
+  return objects;
+};
+
+// Serialize a single photo for a response to the given viewer
+const serializePhoto = async(photo, viewer, options) => {
+  const [serialized] = await serializePhotos([photo], viewer, options);
+  return serialized;
+};
+
+module.exports = {
+  negotiateImageFormat,
+  serializePhotos,
+  serializePhoto
+};
@@ -0,0 +1,125 @@
+const sharp = require('sharp');
+const { srgbToLinear, linearToSrgb } = require('./colors');
+
+// Placeholders shown while an image loads: a BlurHash string (decoded to a
+// blurred gradient by the client) and a tiny base64 JPEG (LQIP) that can be
+// used directly as an <img> src
+
+const BASE83_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+// Width of the LQIP image; about 300-600 bytes once base64 encoded
+const LQIP_WIDTH = 16;
+
+// Size the image is reduced to before computing the BlurHash
+const BLURHASH_SAMPLE_SIZE = 32;
+
+const encodeBase83 = (value, length) => {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    const digit = Math.floor(value / Math.pow(83, length - i)) % 83;
+    result += BASE83_CHARS[digit];
+  }
+  return result;
+};
+
+const signPow = (value, exponent) => {
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+};
+
+// Average of the pixels weighted by the cosine basis function (i, j)
+const multiplyBasisFunction = (pixels, width, height, channels, i, j) => {
+  const normalisation = i === 0 && j === 0 ? 1 : 2;
+  const sum = [0, 0, 0];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const basis = normalisation *
+        Math.cos((Math.PI * i * x) / width) *
+        Math.cos((Math.PI * j * y) / height);
+      const offset = (y * width + x) * channels;
+
+      sum[0] += basis * srgbToLinear(pixels[offset]);
+      sum[1] += basis * srgbToLinear(pixels[offset + 1]);
+      sum[2] += basis * srgbToLinear(pixels[offset + 2]);
+    }
+  }
+
+  return sum.map(value => value / (width * height));
+};
+
+// Encode raw pixel data (as from sharp's raw output) as a BlurHash with
+// componentX x componentY components (1-9 each)
+const encodeBlurHash = (pixels, width, height, { channels = 3, componentX = 4, componentY = 3 } = {}) => {
+  const factors = [];
+  for (let j = 0; j < componentY; j++) {
+    for (let i = 0; i < componentX; i++) {
+      factors.push(multiplyBasisFunction(pixels, width, height, channels, i, j));
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encodeBase83((componentX - 1) + (componentY - 1) * 9, 1);
+
+  let maximumValue = 1;
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.map(factor => Math.max(...factor.map(Math.abs))));
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encodeBase83(quantisedMaximum, 1);
+  } else {
+    hash += encodeBase83(0, 1);
+  }
+
+  const [r, g, b] = dc.map(linearToSrgb);
+  hash += encodeBase83((r << 16) + (g << 8) + b, 4);
+
+  ac.forEach(factor => {
+    const [qr, qg, qb] = factor.map(value => (
+      Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5)))
+    ));
+    hash += encodeBase83(qr * 19 * 19 + qg * 19 + qb, 2);
+  });
+
+  return hash;
+};
+
+// Generate both placeholders for an image
+// Returns { blurhash, lqip } or null if the image cannot be decoded
+const createPlaceholder = async(buffer) => {
+  try {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: 'inside' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // More components along the longer side keep the gradient's shape
+    const landscape = info.width >= info.height;
+    const blurhash = encodeBlurHash(data, info.width, info.height, {
+      channels: info.channels,
+      componentX: landscape ? 4 : 3,
+      componentY: landscape ? 3 : 4
+    });
+
+    const lqip = await sharp(buffer)
+      .rotate()
+      .resize(LQIP_WIDTH)
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 50 })
+      .toBuffer();
+
+    return {
+      blurhash,
+      lqip: `data:image/jpeg;base64,${lqip.toString('base64')}`
+    };
+  } catch (error) {
+    console.error('Placeholder generation error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  encodeBlurHash,
+  createPlaceholder
+};
@@ -0,0 +1,46 @@
+jest.mock('sharp', () => jest.fn());
+
+const { encodeBlurHash } = require('./placeholder');
+
+// An 8x6 RGBA gradient, brightest at the top left
+const WIDTH = 8;
+const HEIGHT = 6;
+const createPixels = () => {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      pixels[i] = Math.round(255 * (WIDTH - 1 - x) / (WIDTH - 1));
+      pixels[i + 1] = Math.round(255 * (HEIGHT - 1 - y) / (HEIGHT - 1));
+      pixels[i + 2] = (x * 37 + y * 91) % 256;
+      pixels[i + 3] = 255;
+    }
+  }
+  return pixels;
+};
+
+// Drop the alpha channel of RGBA pixels
+const toRgb = (pixels) => Buffer.from(pixels.filter((value, index) => index % 4 !== 3));
+
+describe('encodeBlurHash', () => {
+  // Expected hashes come from the blurhash npm package. Like the C reference
+  // encoder, encodeBlurHash scales AC components by their largest absolute
+  // value; the npm package ignores negative ones there, so the image is one
+  // whose largest component is positive, where both agree
+  it('matches the reference encoder', () => {
+    const pixels = createPixels();
+
+    expect(encodeBlurHash(pixels, WIDTH, HEIGHT, { channels: 4, componentX: 4, componentY: 3 }))
+      .toBe('L~I5e,}Y;#-Vy,xVsQoxg^g0fPg0');
+    expect(encodeBlurHash(pixels, WIDTH, HEIGHT, { channels: 4, componentX: 3, componentY: 4 }))
+      .toBe('T~I5e,}Y;#y,xVsQg^g0fPyAxDsQ');
+    expect(encodeBlurHash(pixels, WIDTH, HEIGHT, { channels: 4, componentX: 1, componentY: 1 }))
+      .toBe('00I5e,');
+  });
+
+  it('gives the same hash for RGB and RGBA pixels', () => {
+    const pixels = createPixels();
+
+    expect(encodeBlurHash(toRgb(pixels), WIDTH, HEIGHT)).toBe(encodeBlurHash(pixels, WIDTH, HEIGHT, { channels: 4 }));
+  });
+});
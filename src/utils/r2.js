@@ -1,35 +1,19 @@
-const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
-const path = require('path');
-
-// Configure S3 client for Cloudflare R2
-const r2Client = new S3Client({
-  region: process.env.R2_REGION || 'auto',
-  endpoint: `https://${process.env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com`,
-  credentials: {
-    accessKeyId: process.env.R2_ACCESS_KEY_ID,
-    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
-  },
-});
-
-const BUCKET_NAME = process.env.R2_BUCKET_NAME;
-const PUBLIC_URL = process.env.R2_PUBLIC_URL;
+const { getStorage, isNotFoundError } = require('./storage');
+const {
+  extractExif,
+  applyPrivacyToExif,
+  redactExifBlock,
+  embedExifInJpeg
+} = require('./exif');
+const { applyWatermark, prepareWatermarkLogo } = require('./watermark');
+const { quantizeColors } = require('./colors');
+const { createPlaceholder } = require('./placeholder');
 
 // Environment-based directory structure
 const ENVIRONMENT_PREFIX = process.env.R2_ENVIRONMENT_PREFIX || process.env.NODE_ENV || 'dev';
 
-// Local storage fallback for development
-const LOCAL_UPLOADS_DIR = path.join(process.cwd(), 'uploads');
-const LOCAL_PUBLIC_URL = process.env.LOCAL_PUBLIC_URL || 'http://localhost:5000/uploads';
-
-// Ensure uploads directory exists
-if (!fs.existsSync(LOCAL_UPLOADS_DIR)) {
-  fs.mkdirSync(LOCAL_UPLOADS_DIR, { recursive: true });
-}
-
 // Helper function to generate environment-aware key
 const generateKey = (folder, filename) => {
   // Format: environment/folder/filename
@@ -40,96 +24,91 @@ const generateKey = (folder, filename) => {
   return `${ENVIRONMENT_PREFIX}/${folder}/${filename}`;
 };
 
-// Helper function to get environment-aware URL
-const generateUrl = (key) => {
-  return `${PUBLIC_URL}/${key}`;
+// Folder of uploaded originals; its files are never publicly served and are
+// only reachable through short-lived presigned URLs
+const ORIGINALS_FOLDER = 'originals';
+
+// Folder of the chunks of in-progress resumable uploads; also private
+const UPLOAD_SESSIONS_FOLDER = 'upload-sessions';
+
+// Folder presigned uploads are staged in until they become a photo; also
+// private, so a file is never published before it has been checked
+const STAGING_FOLDER = 'staging';
+
+const PRIVATE_FOLDERS = [ORIGINALS_FOLDER, UPLOAD_SESSIONS_FOLDER, STAGING_FOLDER];
+
+// Helper function to check if a key is private (an original or a pending upload)
+// Originals stored before the originals folder existed end in _original.ext
+const isPrivateKey = (key) => {
+  return key.split('/').some(part => PRIVATE_FOLDERS.includes(part)) || /_original\.\w+$/.test(key);
 };
 
-// Helper function to upload to local storage (development fallback)
-const uploadToLocal = async (buffer, key, contentType, metadata = {}) => {
+// Check that private objects cannot be fetched through their public URL, as
+// happens when originals share a public bucket: a probe object is stored in
+// the originals folder and requested. Throws if the request succeeds
+// The local and memory drivers only serve private keys through signed URLs
+const checkPrivateStorage = async() => {
+  const storage = getStorage();
+  if (storage.name !== 's3') {
+    return;
+  }
+
+  const key = generateKey(ORIGINALS_FOLDER, '.public-access-check');
+  const url = storage.getPublicUrl(key);
+  await storage.put(key, Buffer.from('private'), { contentType: 'text/plain' });
+
+  let response = null;
   try {
-    const filePath = path.join(LOCAL_UPLOADS_DIR, key);
-    const dir = path.dirname(filePath);
-    
-    // Ensure directory exists
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    
-    // Write file
-    fs.writeFileSync(filePath, buffer);
-    
-    return {
-      success: true,
-      key,
-      url: `${LOCAL_PUBLIC_URL}/${key}`,
-      etag: `"${Date.now()}"`,
-      environment: ENVIRONMENT_PREFIX,
-    };
+    response = await fetch(url);
   } catch (error) {
-    console.error('Local upload error:', error);
-    throw error;
+    console.warn(`Could not check that private files are not public (${url}):`, error.message);
+  } finally {
+    await storage.delete(key);
+  }
+
+  if (response && response.ok) {
+    throw new Error(`Private files are publicly readable at ${url}; set R2_PRIVATE_BUCKET_NAME to a bucket without public access`);
   }
 };
 
-// Helper function to upload buffer to R2
+// Helper function to get environment-aware URL
+const generateUrl = (key) => {
+  return getStorage().getPublicUrl(key);
+};
+
+// Helper function to upload buffer to storage
 const uploadToR2 = async (buffer, key, contentType, metadata = {}) => {
   try {
-    // Check if R2 is configured
-    if (!process.env.R2_ACCOUNT_ID || !process.env.R2_ACCESS_KEY_ID || !process.env.R2_SECRET_ACCESS_KEY) {
-      console.warn('R2 not configured, using local file storage for development');
-      return uploadToLocal(buffer, key, contentType, metadata);
-    }
-
-    const command = new PutObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: key,
-      Body: buffer,
-      ContentType: contentType,
-      Metadata: metadata,
-    });
+    const result = await getStorage().put(key, buffer, { contentType, metadata });
 
-    const result = await r2Client.send(command);
     return {
       success: true,
       key,
-      url: generateUrl(key),
-      etag: result.ETag,
+      url: result.url,
+      etag: result.etag,
       environment: ENVIRONMENT_PREFIX,
     };
   } catch (error) {
-    console.error('R2 upload error:', error);
-    throw new Error(`Failed to upload to R2: ${error.message}`);
+    console.error('Storage upload error:', error);
+    throw new Error(`Failed to upload to storage: ${error.message}`);
   }
 };
 
-// Helper function to delete from R2
+// Helper function to delete from storage
 const deleteFromR2 = async (key) => {
   try {
-    const command = new DeleteObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: key,
-    });
-
-    await r2Client.send(command);
+    await getStorage().delete(key);
     return { success: true };
   } catch (error) {
-    console.error('R2 delete error:', error);
-    throw new Error(`Failed to delete from R2: ${error.message}`);
+    console.error('Storage delete error:', error);
+    throw new Error(`Failed to delete from storage: ${error.message}`);
   }
 };
 
 // Helper function to generate presigned URL for upload
 const generatePresignedUploadUrl = async (key, contentType, expiresIn = 3600) => {
   try {
-    const command = new PutObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: key,
-      ContentType: contentType,
-    });
-
-    const presignedUrl = await getSignedUrl(r2Client, command, { expiresIn });
-    return presignedUrl;
+    return await getStorage().presign(key, { operation: 'put', contentType, expiresIn });
   } catch (error) {
     console.error('Presigned URL generation error:', error);
     throw new Error(`Failed to generate presigned URL: ${error.message}`);
@@ -139,20 +118,168 @@ const generatePresignedUploadUrl = async (key, contentType, expiresIn = 3600) =>
 // Helper function to generate presigned URL for download
 const generatePresignedDownloadUrl = async (key, expiresIn = 3600) => {
   try {
-    const command = new GetObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: key,
-    });
-
-    const presignedUrl = await getSignedUrl(r2Client, command, { expiresIn });
-    return presignedUrl;
+    return await getStorage().presign(key, { operation: 'get', expiresIn });
   } catch (error) {
     console.error('Presigned download URL generation error:', error);
     throw new Error(`Failed to generate presigned download URL: ${error.message}`);
   }
 };
 
+// Helper function to read image metadata from a buffer
+// Returns null if the buffer is not an image sharp can decode
+const getImageMetadata = async(buffer) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    return metadata.width && metadata.height ? metadata : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper function to generate the base key shared by an image's files
+// Format: environment/folder/userId/timestamp_fileId
+const generateImageKeyBase = (folder, userId) => {
+  return generateKey(folder, `${userId}/${Date.now()}_${uuidv4()}`);
+};
+
+// File extensions for the image formats sharp detects
+const IMAGE_EXTENSIONS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp',
+  gif: 'gif',
+  tiff: 'tif'
+};
+
+// Widths generated for responsive images (srcset)
+// 'original' adds a variant at the full upright width of the image
+const getVariantLadder = () => {
+  return (process.env.IMAGE_VARIANT_WIDTHS || '320,640,1280,2048,original')
+    .split(',')
+    .map(step => step.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+// Helper function to get the variant widths for an image, narrowest first
+// Images are never enlarged, so wider steps collapse to the image width
+const getVariantWidths = (imageWidth, ladder = getVariantLadder()) => {
+  const widths = new Set();
+
+  ladder.forEach(step => {
+    const width = step === 'original' ? imageWidth : parseInt(step, 10);
+    if (width > 0) {
+      widths.add(Math.min(width, imageWidth));
+    }
+  });
+
+  return [...widths].sort((a, b) => a - b);
+};
+
+// Helper function to store an untouched original image
+// Processing into web derivatives happens later in the background. The
+// original goes to the private originals folder; keyBase is where its
+// derivatives go in `folder`
+const uploadOriginalImage = async(buffer, options = {}) => {
+  const { userId, folder = 'photos', originalName, contentType, format } = options;
+
+  const name = `${userId}/${Date.now()}_${uuidv4()}`;
+  const keyBase = generateKey(folder, name);
+  const key = generateKey(ORIGINALS_FOLDER, `${name}_original.${IMAGE_EXTENSIONS[format] || 'bin'}`);
+
+  const result = await uploadToR2(buffer, key, contentType || `image/${format}`, {
+    originalName: originalName || 'image',
+    userId: userId.toString(),
+    type: 'original'
+  });
+
+  return {
+    keyBase,
+    key,
+    url: result.url,
+    size: buffer.length
+  };
+};
+
+// Helper function to get the base key of an original's derivatives
+// Reverses uploadOriginalImage; originals stored next to their derivatives
+// (before the originals folder existed) keep their folder
+const getDerivativeKeyBase = (originalKey, folder = 'photos') => {
+  return originalKey
+    .replace(/_original\.\w+$/, '')
+    .replace(`/${ORIGINALS_FOLDER}/`, `/${folder}/`);
+};
+
+// Encoders for the formats images are published in
+// JPEG and PNG are the fallbacks every browser can display
+const OUTPUT_FORMATS = {
+  jpg: {
+    contentType: 'image/jpeg',
+    encode: (image, quality) => image.jpeg({ quality })
+  },
+  png: {
+    contentType: 'image/png',
+    encode: (image) => image.png({ compressionLevel: 9 })
+  },
+  webp: {
+    contentType: 'image/webp',
+    encode: (image, quality) => image.webp({ quality })
+  },
+  avif: {
+    contentType: 'image/avif',
+    encode: (image) => image.avif()
+  }
+};
+
+// Helper function to get the fallback format for an image
+// JPEG cannot store transparency, so images with alpha fall back to PNG
+const getFallbackFormat = (metadata) => {
+  return metadata.hasAlpha ? 'png' : 'jpg';
+};
+
+// Helper function to get the formats published for an image, fallback first
+const getOutputFormats = (fallbackFormat) => {
+  const formats = (process.env.IMAGE_OUTPUT_FORMATS || 'webp,avif')
+    .split(',')
+    .map(format => format.trim().toLowerCase())
+    .filter(format => OUTPUT_FORMATS[format]);
+
+  return [...new Set([fallbackFormat, ...formats])];
+};
+
+// Helper function to encode one rendition of an image and upload it
+// Only JPEG renditions carry the EXIF block the privacy policy allows
+const uploadRendition = async(image, { key, format, quality, exifBlock, metadata }) => {
+  const { data, info } = await OUTPUT_FORMATS[format]
+    .encode(image.clone(), quality)
+    .toBuffer({ resolveWithObject: true });
+  const body = format === 'jpg' ? embedExifInJpeg(data, exifBlock) : data;
+
+  const result = await uploadToR2(body, key, OUTPUT_FORMATS[format].contentType, {
+    ...metadata,
+    width: info.width.toString(),
+    height: info.height.toString()
+  });
+
+  return {
+    key,
+    url: result.url,
+    width: info.width,
+    height: info.height,
+    size: body.length,
+    format
+  };
+};
+
 // Helper function to process and upload image
+// Pass keyBase to control where the processed files are stored. The privacy
+// policy ({ metadata, gps }, see utils/exif) decides which metadata is kept
+// in JPEG renditions and returned as exif; thumbnails never carry metadata.
+// Every rendition is published in the fallback format (JPEG, or PNG for
+// images with transparency) and in IMAGE_OUTPUT_FORMATS (WebP, AVIF):
+// `${keyBase}.${ext}` for the main image, `${keyBase}_${width}w.${ext}`
+// for variants. Thumbnails only use the fallback format. A watermark (see
+// utils/watermark) is drawn on the main image and variants, not thumbnails.
+// The loading placeholder (see utils/placeholder) is returned, not uploaded
 const processAndUploadImage = async (buffer, options = {}) => {
   const {
     userId,
@@ -163,85 +290,121 @@ const processAndUploadImage = async (buffer, options = {}) => {
     generateThumbnail = true,
     thumbnailSize = 300,
     extractColors = true,
+    generatePlaceholder = true,
+    generateVariants = true,
+    variantLadder = getVariantLadder(),
+    privacy = { metadata: 'strip', gps: 'remove' },
+    watermark = null
   } = options;
 
   try {
-    // Generate unique filename
-    const fileId = uuidv4();
-    const timestamp = Date.now();
+    const keyBase = options.keyBase || generateImageKeyBase(folder, userId);
     
     // Get image metadata
     const metadata = await sharp(buffer).metadata();
-    
-    // Process main image
-    const processedImage = await sharp(buffer)
-      .resize(maxWidth, maxHeight, {
-        fit: 'inside',
-        withoutEnlargement: true,
-      })
-      .jpeg({ quality })
-      .toBuffer();
 
-    // Generate main image key with environment prefix
-    const mainImageKey = generateKey(folder, `${userId}/${timestamp}_${fileId}.jpg`);
-    
-    // Upload main image
-    const mainImageResult = await uploadToR2(processedImage, mainImageKey, 'image/jpeg', {
+    // Derivatives are rotated upright, so report upright dimensions
+    const [width, height] = metadata.orientation >= 5
+      ? [metadata.height, metadata.width]
+      : [metadata.width, metadata.height];
+
+    const fallbackFormat = getFallbackFormat(metadata);
+    const outputFormats = getOutputFormats(fallbackFormat);
+
+    // Metadata the policy allows, added back to every encoded JPEG
+    const exifBlock = redactExifBlock(metadata.exif, privacy);
+
+    const renditionMetadata = (type) => ({
       originalName: options.originalName || 'image.jpg',
       userId: userId.toString(),
-      type: 'main',
-      width: metadata.width.toString(),
-      height: metadata.height.toString(),
+      type
     });
+    
+    // Process main image in every output format
+    const mainImage = await applyWatermark(sharp(buffer)
+      .rotate()
+      .resize(maxWidth, maxHeight, {
+        fit: 'inside',
+        withoutEnlargement: true,
+      }), watermark);
+
+    const formats = [];
+    for (const format of outputFormats) {
+      formats.push(await uploadRendition(mainImage, {
+        key: `${keyBase}.${format}`,
+        format,
+        quality,
+        exifBlock,
+        metadata: renditionMetadata('main')
+      }));
+    }
+    const mainImageResult = formats[0];
 
     let thumbnailResult = null;
     let colorPalette = [];
 
     // Generate thumbnail if requested
     if (generateThumbnail) {
-      const thumbnailBuffer = await sharp(buffer)
+      const thumbnail = sharp(buffer)
+        .rotate()
         .resize(thumbnailSize, thumbnailSize, {
           fit: 'cover',
           position: 'center',
-        })
-        .jpeg({ quality: 80 })
-        .toBuffer();
-
-      const thumbnailKey = generateKey(folder, `${userId}/${timestamp}_${fileId}_thumb.jpg`);
-      
-      thumbnailResult = await uploadToR2(thumbnailBuffer, thumbnailKey, 'image/jpeg', {
-        originalName: options.originalName || 'image.jpg',
-        userId: userId.toString(),
-        type: 'thumbnail',
-        width: thumbnailSize.toString(),
-        height: thumbnailSize.toString(),
+        });
+
+      thumbnailResult = await uploadRendition(thumbnail, {
+        key: `${keyBase}_thumb.${fallbackFormat}`,
+        format: fallbackFormat,
+        quality: 80,
+        exifBlock: null,
+        metadata: renditionMetadata('thumbnail')
       });
     }
 
+    const variants = [];
+
+    // Generate responsive variants, one at a time to limit memory use
+    if (generateVariants) {
+      for (const variantWidth of getVariantWidths(width, variantLadder)) {
+        const variant = await applyWatermark(sharp(buffer)
+          .rotate()
+          .resize(variantWidth, null, { withoutEnlargement: true }), watermark);
+
+        for (const format of outputFormats) {
+          variants.push(await uploadRendition(variant, {
+            key: `${keyBase}_${variantWidth}w.${format}`,
+            format,
+            quality,
+            exifBlock,
+            metadata: renditionMetadata('variant')
+          }));
+        }
+      }
+    }
+
     // Extract dominant colors if requested
     if (extractColors) {
       colorPalette = await extractDominantColors(buffer);
     }
 
+    const placeholder = generatePlaceholder ? await createPlaceholder(buffer) : null;
+
     return {
       success: true,
       mainImage: {
-        key: mainImageKey,
+        key: mainImageResult.key,
         url: mainImageResult.url,
-        width: metadata.width,
-        height: metadata.height,
-        size: processedImage.length,
-        format: 'jpg',
+        width,
+        height,
+        size: mainImageResult.size,
+        format: fallbackFormat
       },
-      thumbnail: thumbnailResult ? {
-        key: thumbnailResult.key,
-        url: thumbnailResult.url,
-        width: thumbnailSize,
-        height: thumbnailSize,
-        size: thumbnailBuffer.length,
-        format: 'jpg',
-      } : null,
+      formats: formats.map(({ format, key, url, size }) => ({ format, key, url, size })),
+      thumbnail: thumbnailResult,
+      variants,
       colorPalette,
+      placeholder,
+      exif: applyPrivacyToExif(extractExif(metadata), privacy),
       metadata: {
         originalWidth: metadata.width,
         originalHeight: metadata.height,
@@ -256,32 +419,17 @@ const processAndUploadImage = async (buffer, options = {}) => {
 };
 
 // Helper function to extract dominant colors
-const extractDominantColors = async (buffer) => {
+// Returns up to `count` distinct colors with hex values and percentages
+// summing to 100 (see utils/colors)
+const extractDominantColors = async(buffer, count = 5) => {
   try {
     const { data, info } = await sharp(buffer)
-      .resize(150, 150)
+      .resize(100, 100, { fit: 'inside' })
+      .ensureAlpha()
       .raw()
       .toBuffer({ resolveWithObject: true });
 
-    const colors = {};
-    const step = info.channels;
-
-    for (let i = 0; i < data.length; i += step) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-      const color = `rgb(${r},${g},${b})`;
-      colors[color] = (colors[color] || 0) + 1;
-    }
-
-    // Sort colors by frequency and return top 5
-    return Object.entries(colors)
-      .sort(([, a], [, b]) => b - a)
-      .slice(0, 5)
-      .map(([color, count]) => ({
-        color,
-        percentage: Math.round((count / (data.length / step)) * 100),
-      }));
+    return quantizeColors(data, { channels: info.channels, count });
   } catch (error) {
     console.error('Color extraction error:', error);
     return [];
@@ -320,6 +468,7 @@ const uploadAvatar = async (buffer, userId) => {
       height: 400,
       size: processedAvatar.length,
       format: 'jpg',
+      placeholder: await createPlaceholder(processedAvatar)
     };
   } catch (error) {
     console.error('Avatar upload error:', error);
@@ -327,68 +476,132 @@ const uploadAvatar = async (buffer, userId) => {
   }
 };
 
-// Helper function to get file info from R2
-const getFileInfo = async (key) => {
+// Helper function to upload a watermark logo
+const uploadWatermarkLogo = async(buffer, userId) => {
   try {
-    const command = new GetObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: key,
+    const logo = await prepareWatermarkLogo(buffer);
+    const logoKey = generateKey('watermarks', `${userId}/${Date.now()}_${uuidv4()}.png`);
+
+    const result = await uploadToR2(logo.data, logoKey, 'image/png', {
+      userId: userId.toString(),
+      type: 'watermark',
+      width: logo.width.toString(),
+      height: logo.height.toString()
     });
 
-    const result = await r2Client.send(command);
     return {
       success: true,
-      contentType: result.ContentType,
-      contentLength: result.ContentLength,
-      lastModified: result.LastModified,
-      metadata: result.Metadata,
+      key: logoKey,
+      url: result.url,
+      width: logo.width,
+      height: logo.height,
+      size: logo.data.length,
+      format: 'png'
     };
   } catch (error) {
-    console.error('Get file info error:', error);
-    throw new Error(`Failed to get file info: ${error.message}`);
+    console.error('Watermark logo upload error:', error);
+    throw new Error(`Failed to upload watermark logo: ${error.message}`);
+  }
+};
+
+// Helper function to get file info from storage
+const getFileInfo = async (key) => {
+  try {
+    const result = await getStorage().head(key);
+    return {
+      success: true,
+      contentType: result.contentType,
+      contentLength: result.contentLength,
+      lastModified: result.lastModified,
+      metadata: result.metadata
+    };
+  } catch (error) {
+    if (!isNotFoundError(error)) {
+      console.error('Get file info error:', error);
+    }
+    const wrapped = new Error(`Failed to get file info: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+};
+
+// Helper function to download a file from storage
+const getFile = async(key) => {
+  try {
+    return await getStorage().get(key);
+  } catch (error) {
+    if (!isNotFoundError(error)) {
+      console.error('Get file error:', error);
+    }
+    const wrapped = new Error(`Failed to get file: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+};
+
+// Helper function to list files under a key prefix
+const listFiles = async(prefix, options = {}) => {
+  try {
+    return await getStorage().list(prefix, options);
+  } catch (error) {
+    console.error('List files error:', error);
+    throw new Error(`Failed to list files: ${error.message}`);
   }
 };
 
 // Helper function to check if file exists
 const fileExists = async (key) => {
   try {
-    await getFileInfo(key);
+    await getStorage().head(key);
     return true;
   } catch (error) {
-    return false;
+    if (isNotFoundError(error)) {
+      return false;
+    }
+    throw error;
   }
 };
 
 // Helper function to generate CDN URL with transformations
+// Transformed images are served by the /img route (see utils/imageTransform)
+// Required here rather than at the top, as imageTransform depends on this module
 const generateCDNUrl = (key, transformations = {}) => {
-  const baseUrl = `${PUBLIC_URL}/${key}`;
-  
   if (Object.keys(transformations).length === 0) {
-    return baseUrl;
+    return generateUrl(key);
   }
 
-  // For Cloudflare R2, you can use Cloudflare Images or custom transformations
-  // This is a basic implementation - you might want to use Cloudflare Images API
-  const params = new URLSearchParams();
-  
-  if (transformations.width) params.append('width', transformations.width);
-  if (transformations.height) params.append('height', transformations.height);
-  if (transformations.quality) params.append('quality', transformations.quality);
-  if (transformations.format) params.append('format', transformations.format);
-  
-  return params.toString() ? `${baseUrl}?${params.toString()}` : baseUrl;
+  const { buildImageUrl } = require('./imageTransform');
+  return buildImageUrl(key, transformations) || generateUrl(key);
 };
 
 module.exports = {
-  r2Client,
+  ENVIRONMENT_PREFIX,
+  ORIGINALS_FOLDER,
+  UPLOAD_SESSIONS_FOLDER,
+  STAGING_FOLDER,
+  isPrivateKey,
+  checkPrivateStorage,
+  generateKey,
+  generateUrl,
   uploadToR2,
   deleteFromR2,
   generatePresignedUploadUrl,
   generatePresignedDownloadUrl,
+  uploadOriginalImage,
+  getDerivativeKeyBase,
   processAndUploadImage,
+  OUTPUT_FORMATS,
+  getFallbackFormat,
+  getOutputFormats,
+  getVariantLadder,
+  getVariantWidths,
+  getImageMetadata,
   extractDominantColors,
   uploadAvatar,
+  uploadWatermarkLogo,
   getFileInfo,
+  getFile,
+  listFiles,
   fileExists,
   generateCDNUrl,
 };
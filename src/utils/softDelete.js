@@ -0,0 +1,45 @@
+// Soft delete plugin for schemas whose documents go to the trash
+// Trashed documents have deletedAt set and are left out of find, findOne,
+// countDocuments, distinct, findOneAndUpdate and aggregate results (and so
+// of populate). Queries see them when the filter mentions deletedAt, or
+// when called with .withDeleted() (aggregates: .option({ withDeleted: true }))
+
+const FILTERED_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate'];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  // Index for listing and purging the trash
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Query helper to include trashed documents
+  schema.query.withDeleted = function() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  // Instance method to check if the document is in the trash
+  schema.methods.isTrashed = function() {
+    return Boolean(this.deletedAt);
+  };
+};
+
+module.exports = softDelete;
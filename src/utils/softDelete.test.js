@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+
+const schema = new mongoose.Schema({ title: String });
+schema.plugin(softDelete);
+const Item = mongoose.model('SoftDeleteItem', schema);
+
+// Run the model's pre hooks for an operation, as executing it would
+const runPreHooks = (operation, target) => new Promise((resolve, reject) => {
+  Item.hooks.execPre(operation, target, [], error => (error ? reject(error) : resolve()));
+});
+
+const getFilter = async(query) => {
+  await runPreHooks(query.op, query);
+  return query.getFilter();
+};
+
+describe('softDelete', () => {
+  it('leaves trashed documents out of filtered queries', async() => {
+    expect(await getFilter(Item.find({ title: 'a' }))).toEqual({ title: 'a', deletedAt: null });
+    expect(await getFilter(Item.findOne({ title: 'a' }))).toEqual({ title: 'a', deletedAt: null });
+    expect(await getFilter(Item.countDocuments({}))).toEqual({ deletedAt: null });
+    expect(await getFilter(Item.distinct('title'))).toEqual({ deletedAt: null });
+    expect(await getFilter(Item.findOneAndUpdate({ title: 'a' }, { title: 'b' }))).toEqual({ title: 'a', deletedAt: null });
+  });
+
+  it('includes trashed documents with withDeleted or a deletedAt filter', async() => {
+    expect(await getFilter(Item.find({ title: 'a' }).withDeleted())).toEqual({ title: 'a' });
+    expect(await getFilter(Item.find({ deletedAt: { $ne: null } }))).toEqual({ deletedAt: { $ne: null } });
+  });
+
+  it('leaves updates and deletes alone', async() => {
+    expect(await getFilter(Item.updateOne({ _id: 'a' }, { title: 'b' }))).toEqual({ _id: 'a' });
+    expect(await getFilter(Item.deleteMany({ title: 'a' }))).toEqual({ title: 'a' });
+  });
+
+  it('matches only documents outside the trash in aggregates', async() => {
+    const aggregate = Item.aggregate([{ $group: { _id: '$title' } }]);
+    await runPreHooks('aggregate', aggregate);
+    expect(aggregate.pipeline()).toEqual([{ $match: { deletedAt: null } }, { $group: { _id: '$title' } }]);
+
+    const withDeleted = Item.aggregate([{ $group: { _id: '$title' } }]).option({ withDeleted: true });
+    await runPreHooks('aggregate', withDeleted);
+    expect(withDeleted.pipeline()).toEqual([{ $group: { _id: '$title' } }]);
+  });
+
+  it('tells whether a document is in the trash', () => {
+    expect(new Item().isTrashed()).toBe(false);
+    expect(new Item({ deletedAt: new Date() }).isTrashed()).toBe(true);
+  });
+});
@@ -0,0 +1,16 @@
+// Error thrown by storage drivers when an object does not exist
+const createNotFoundError = (key) => {
+  const error = new Error(`Object not found: ${key}`);
+  error.code = 'NotFound';
+  error.statusCode = 404;
+  return error;
+};
+
+const isNotFoundError = (error) => {
+  return Boolean(error) && error.code === 'NotFound';
+};
+
+module.exports = {
+  createNotFoundError,
+  isNotFoundError
+};
@@ -0,0 +1,92 @@
+const path = require('path');
+const createLocalDriver = require('./local');
+const createMemoryDriver = require('./memory');
+const createS3Driver = require('./s3');
+const { createNotFoundError, isNotFoundError } = require('./errors');
+
+// Storage drivers share one interface:
+//   put(key, body, { contentType, metadata })  -> { key, url, etag }
+//   get(key)                                   -> { body, contentType, contentLength, lastModified, metadata, etag }
+//   head(key)                                  -> { contentType, contentLength, lastModified, metadata }
+//   delete(key)                                -> deletes the object (no error if missing)
+//   list(prefix, { continuationToken, limit }) -> { objects: [{ key, size, lastModified }], nextContinuationToken }
+//   presign(key, { operation, contentType, expiresIn }) -> signed URL for 'get' or 'put'
+//   getPublicUrl(key)                          -> public URL of the object
+// get and head throw an error with code 'NotFound' for missing objects.
+
+const isR2Configured = () => {
+  return Boolean(process.env.R2_ACCOUNT_ID && process.env.R2_ACCESS_KEY_ID && process.env.R2_SECRET_ACCESS_KEY);
+};
+
+// Pick the driver from STORAGE_DRIVER ('s3', 'local' or 'memory')
+// Defaults to 'memory' in tests, 's3' when R2 is configured, else 'local'
+const resolveDriverName = () => {
+  if (process.env.STORAGE_DRIVER) {
+    return process.env.STORAGE_DRIVER;
+  }
+  if (process.env.NODE_ENV === 'test') {
+    return 'memory';
+  }
+  return isR2Configured() ? 's3' : 'local';
+};
+
+// Directory the local driver stores objects in
+const getLocalUploadsDir = () => {
+  return path.resolve(process.env.LOCAL_UPLOADS_DIR || path.join(process.cwd(), 'uploads'));
+};
+
+// Build a driver from environment variables
+const createDriver = (name = resolveDriverName()) => {
+  switch (name) {
+  case 's3':
+    return createS3Driver({
+      endpoint: process.env.R2_ENDPOINT || `https://${process.env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com`,
+      region: process.env.R2_REGION || 'auto',
+      bucket: process.env.R2_BUCKET_NAME,
+      privateBucket: process.env.R2_PRIVATE_BUCKET_NAME,
+      // Required here, as utils/r2 depends on this module
+      isPrivateKey: (key) => require('../r2').isPrivateKey(key),
+      publicUrl: process.env.R2_PUBLIC_URL,
+      accessKeyId: process.env.R2_ACCESS_KEY_ID,
+      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.R2_FORCE_PATH_STYLE === 'true'
+    });
+  case 'local':
+    return createLocalDriver({
+      rootDir: getLocalUploadsDir(),
+      publicUrl: process.env.LOCAL_PUBLIC_URL || 'http://localhost:5000/uploads'
+    });
+  case 'memory':
+    return createMemoryDriver();
+  default:
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+};
+
+let storage = null;
+
+// Replace the active driver (e.g. with createMemoryDriver() in tests)
+const setStorage = (driver) => {
+  storage = driver;
+  return storage;
+};
+
+// Get the active driver, creating it from the environment on first use
+const getStorage = () => {
+  if (!storage) {
+    setStorage(createDriver());
+  }
+  return storage;
+};
+
+module.exports = {
+  getLocalUploadsDir,
+  createDriver,
+  createLocalDriver,
+  createMemoryDriver,
+  createS3Driver,
+  setStorage,
+  getStorage,
+  createNotFoundError,
+  isNotFoundError
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createNotFoundError } = require('./errors');
+const { createSignedUrl } = require('./signing');
+
+// Content types for objects stored without metadata
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff'
+};
+
+// Local filesystem storage driver for development
+// Objects are written under rootDir (served statically at publicUrl) and
+// their content type and metadata are kept in rootDir/.meta
+const createLocalDriver = ({ rootDir, publicUrl }) => {
+  const metaDir = path.join(rootDir, '.meta');
+
+  // Resolve a key to a path inside rootDir, rejecting path traversal
+  const resolvePath = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const metaPath = (key) => `${path.join(metaDir, key)}.json`;
+
+  const readMeta = async(key) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(metaPath(key), 'utf8'));
+    } catch (error) {
+      return {
+        contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+        metadata: {}
+      };
+    }
+  };
+
+  const statFile = async(key) => {
+    try {
+      return await fs.promises.stat(resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw createNotFoundError(key);
+      }
+      throw error;
+    }
+  };
+
+  // Walk rootDir and collect keys under a prefix
+  const walk = async(dir, keys) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return keys;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entryPath !== metaDir) {
+          await walk(entryPath, keys);
+        }
+      } else {
+        keys.push(path.relative(rootDir, entryPath).split(path.sep).join('/'));
+      }
+    }
+
+    return keys;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+      const filePath = resolvePath(key);
+      const buffer = Buffer.from(body);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+
+      await fs.promises.mkdir(path.dirname(metaPath(key)), { recursive: true });
+      await fs.promises.writeFile(metaPath(key), JSON.stringify({ contentType, metadata }));
+
+      return {
+        key,
+        url: `${publicUrl}/${key}`,
+        etag: `"${crypto.createHash('md5').update(buffer).digest('hex')}"`
+      };
+    },
+
+    async get(key) {
+      const stats = await statFile(key);
+      const body = await fs.promises.readFile(resolvePath(key));
+      const { contentType, metadata } = await readMeta(key);
+
+      return {
+        body,
+        contentType,
+        contentLength: stats.size,
+        lastModified: stats.mtime,
+        metadata,
+        etag: `"${crypto.createHash('md5').update(body).digest('hex')}"`
+      };
+    },
+
+    async head(key) {
+      const stats = await statFile(key);
+      const { contentType, metadata } = await readMeta(key);
+
+      return {
+        contentType,
+        contentLength: stats.size,
+        lastModified: stats.mtime,
+        metadata
+      };
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolvePath(key), { force: true });
+      await fs.promises.rm(metaPath(key), { force: true });
+    },
+
+    async list(prefix = '', { continuationToken, limit = 1000 } = {}) {
+      // Only walk the deepest directory the prefix names
+      const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      const keys = (await walk(path.join(rootDir, prefixDir), []))
+        .filter(key => key.startsWith(prefix) && (!continuationToken || key > continuationToken))
+        .sort();
+
+      const page = keys.slice(0, limit);
+      const objects = await Promise.all(page.map(async key => {
+        const stats = await fs.promises.stat(resolvePath(key));
+        return { key, size: stats.size, lastModified: stats.mtime };
+      }));
+
+      return {
+        objects,
+        nextContinuationToken: keys.length > limit ? page[page.length - 1] : null
+      };
+    },
+
+    async presign(key, { operation = 'get', expiresIn = 3600 } = {}) {
+      resolvePath(key);
+      return createSignedUrl(key, operation, expiresIn);
+    },
+
+    getPublicUrl(key) {
+      return `${publicUrl}/${key}`;
+    }
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { createNotFoundError } = require('./errors');
+const { getSignedUrlBase, createSignedUrl } = require('./signing');
+
+// In-memory storage driver for tests
+// Objects live in a Map for the lifetime of the driver
+const createMemoryDriver = () => {
+  const objects = new Map();
+
+  const getObject = (key) => {
+    const object = objects.get(key);
+    if (!object) {
+      throw createNotFoundError(key);
+    }
+    return object;
+  };
+
+  const driver = {
+    name: 'memory',
+    objects,
+
+    async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+      const buffer = Buffer.from(body);
+      const etag = `"${crypto.createHash('md5').update(buffer).digest('hex')}"`;
+
+      objects.set(key, {
+        body: buffer,
+        contentType,
+        metadata: { ...metadata },
+        lastModified: new Date(),
+        etag
+      });
+
+      return { key, url: driver.getPublicUrl(key), etag };
+    },
+
+    async get(key) {
+      const object = getObject(key);
+      return {
+        body: Buffer.from(object.body),
+        contentType: object.contentType,
+        contentLength: object.body.length,
+        lastModified: object.lastModified,
+        metadata: { ...object.metadata },
+        etag: object.etag
+      };
+    },
+
+    async head(key) {
+      const object = getObject(key);
+      return {
+        contentType: object.contentType,
+        contentLength: object.body.length,
+        lastModified: object.lastModified,
+        metadata: { ...object.metadata },
+        etag: object.etag
+      };
+    },
+
+    async delete(key) {
+      objects.delete(key);
+    },
+
+    async list(prefix = '', { continuationToken, limit = 1000 } = {}) {
+      const keys = [...objects.keys()]
+        .filter(key => key.startsWith(prefix) && (!continuationToken || key > continuationToken))
+        .sort();
+
+      const page = keys.slice(0, limit);
+
+      return {
+        objects: page.map(key => ({
+          key,
+          size: objects.get(key).body.length,
+          lastModified: objects.get(key).lastModified
+        })),
+        nextContinuationToken: keys.length > limit ? page[page.length - 1] : null
+      };
+    },
+
+    async presign(key, { operation = 'get', expiresIn = 3600 } = {}) {
+      return createSignedUrl(key, operation, expiresIn);
+    },
+
+    getPublicUrl(key) {
+      return `${getSignedUrlBase()}/public/${key}`;
+    }
+  };
+
+  return driver;
+};
+
+module.exports = createMemoryDriver;
@@ -0,0 +1,155 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { createNotFoundError } = require('./errors');
+
+// S3-compatible storage driver (Cloudflare R2, AWS S3, MinIO, ...)
+// Keys accepted by isPrivateKey are stored in privateBucket when one is set,
+// so they cannot be fetched through the public bucket's URL
+const createS3Driver = ({
+  endpoint,
+  region,
+  bucket,
+  privateBucket,
+  isPrivateKey = () => false,
+  publicUrl,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false
+}) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: {
+      accessKeyId,
+      secretAccessKey
+    }
+  });
+
+  const getBucket = (key) => {
+    return privateBucket && isPrivateKey(key) ? privateBucket : bucket;
+  };
+
+  // Normalize SDK "not found" responses
+  const send = async(command, key) => {
+    try {
+      return await client.send(command);
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+        (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        throw createNotFoundError(key);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 's3',
+    client,
+
+    async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+      const result = await send(new PutObjectCommand({
+        Bucket: getBucket(key),
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        Metadata: metadata
+      }), key);
+
+      return { key, url: `${publicUrl}/${key}`, etag: result.ETag };
+    },
+
+    async get(key) {
+      const result = await send(new GetObjectCommand({ Bucket: getBucket(key), Key: key }), key);
+
+      return {
+        body: Buffer.from(await result.Body.transformToByteArray()),
+        contentType: result.ContentType,
+        contentLength: result.ContentLength,
+        lastModified: result.LastModified,
+        metadata: result.Metadata,
+        etag: result.ETag
+      };
+    },
+
+    async head(key) {
+      const result = await send(new HeadObjectCommand({ Bucket: getBucket(key), Key: key }), key);
+
+      return {
+        contentType: result.ContentType,
+        contentLength: result.ContentLength,
+        lastModified: result.LastModified,
+        metadata: result.Metadata,
+        etag: result.ETag
+      };
+    },
+
+    async delete(key) {
+      await send(new DeleteObjectCommand({ Bucket: getBucket(key), Key: key }), key);
+    },
+
+    // With a private bucket, a prefix that may hold keys of both is listed
+    // in the public bucket, then the private one; the continuation token
+    // starts with the index of the bucket it belongs to
+    async list(prefix = '', { continuationToken, limit = 1000 } = {}) {
+      let buckets = [bucket];
+      if (privateBucket) {
+        buckets = isPrivateKey(prefix) ? [privateBucket] : [bucket, privateBucket];
+      }
+
+      let index = 0;
+      let token = continuationToken || undefined;
+      if (privateBucket && continuationToken) {
+        const separator = continuationToken.indexOf(':');
+        index = parseInt(continuationToken.slice(0, separator), 10);
+        token = continuationToken.slice(separator + 1) || undefined;
+      }
+
+      const result = await send(new ListObjectsV2Command({
+        Bucket: buckets[index],
+        Prefix: prefix,
+        ContinuationToken: token,
+        MaxKeys: limit
+      }), prefix);
+
+      let nextContinuationToken = result.IsTruncated ? result.NextContinuationToken : null;
+      if (privateBucket) {
+        if (nextContinuationToken) {
+          nextContinuationToken = `${index}:${nextContinuationToken}`;
+        } else if (index + 1 < buckets.length) {
+          nextContinuationToken = `${index + 1}:`;
+        }
+      }
+
+      return {
+        objects: (result.Contents || []).map(object => ({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified
+        })),
+        nextContinuationToken
+      };
+    },
+
+    async presign(key, { operation = 'get', contentType, expiresIn = 3600 } = {}) {
+      const command = operation === 'put'
+        ? new PutObjectCommand({ Bucket: getBucket(key), Key: key, ContentType: contentType })
+        : new GetObjectCommand({ Bucket: getBucket(key), Key: key });
+
+      return getSignedUrl(client, command, { expiresIn });
+    },
+
+    getPublicUrl(key) {
+      return `${publicUrl}/${key}`;
+    }
+  };
+};
+
+module.exports = createS3Driver;
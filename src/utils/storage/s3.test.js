@@ -0,0 +1,67 @@
+const createS3Driver = require('./s3');
+
+const createDriver = (options = {}) => createS3Driver({
+  endpoint: 'https://storage.example.com',
+  region: 'auto',
+  bucket: 'public-bucket',
+  publicUrl: 'https://cdn.example.com',
+  accessKeyId: 'key',
+  secretAccessKey: 'secret',
+  isPrivateKey: (key) => key.split('/').includes('originals'),
+  ...options
+});
+
+// Buckets of the commands sent through the driver's client
+const getSentBuckets = (driver) => driver.client.send.mock.calls.map(([command]) => command.input.Bucket);
+
+describe('S3 driver', () => {
+  it('stores private keys in the private bucket', async() => {
+    const driver = createDriver({ privateBucket: 'private-bucket' });
+    jest.spyOn(driver.client, 'send').mockResolvedValue({});
+
+    await driver.put('test/originals/user/photo_original.jpg', Buffer.from('original'));
+    await driver.put('test/photos/user/photo.jpg', Buffer.from('photo'));
+    await driver.delete('test/originals/user/photo_original.jpg');
+
+    expect(getSentBuckets(driver)).toEqual(['private-bucket', 'public-bucket', 'private-bucket']);
+  });
+
+  it('keeps every key in one bucket without a private bucket', async() => {
+    const driver = createDriver();
+    jest.spyOn(driver.client, 'send').mockResolvedValue({});
+
+    await driver.put('test/originals/user/photo_original.jpg', Buffer.from('original'));
+
+    expect(getSentBuckets(driver)).toEqual(['public-bucket']);
+  });
+
+  it('lists a shared prefix in both buckets, one after the other', async() => {
+    const driver = createDriver({ privateBucket: 'private-bucket' });
+    jest.spyOn(driver.client, 'send')
+      .mockResolvedValueOnce({ Contents: [{ Key: 'test/photos/a.jpg' }], IsTruncated: true, NextContinuationToken: 'next' })
+      .mockResolvedValueOnce({ Contents: [{ Key: 'test/photos/b.jpg' }], IsTruncated: false })
+      .mockResolvedValueOnce({ Contents: [{ Key: 'test/originals/a.jpg' }], IsTruncated: false });
+
+    const keys = [];
+    let continuationToken = null;
+    do {
+      const page = await driver.list('test/', { continuationToken });
+      keys.push(...page.objects.map(object => object.key));
+      continuationToken = page.nextContinuationToken;
+    } while (continuationToken);
+
+    expect(keys).toEqual(['test/photos/a.jpg', 'test/photos/b.jpg', 'test/originals/a.jpg']);
+    expect(getSentBuckets(driver)).toEqual(['public-bucket', 'public-bucket', 'private-bucket']);
+    expect(driver.client.send.mock.calls[1][0].input.ContinuationToken).toBe('next');
+  });
+
+  it('lists a private prefix only in the private bucket', async() => {
+    const driver = createDriver({ privateBucket: 'private-bucket' });
+    jest.spyOn(driver.client, 'send').mockResolvedValue({ Contents: [], IsTruncated: false });
+
+    const page = await driver.list('test/originals/');
+
+    expect(page.nextContinuationToken).toBeNull();
+    expect(getSentBuckets(driver)).toEqual(['private-bucket']);
+  });
+});
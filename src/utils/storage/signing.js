@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Signed URLs for drivers that serve objects through the API
+// (local filesystem and in-memory), mirroring S3 presigned URLs
+
+const getSigningKey = () => {
+  return process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+};
+
+const sign = (operation, key, expires) => {
+  return crypto.createHmac('sha256', getSigningKey())
+    .update(`${operation}\n${key}\n${expires}`)
+    .digest('hex');
+};
+
+// Base URL of the signed storage route (see src/routes/storage.js)
+const getSignedUrlBase = () => {
+  return process.env.STORAGE_SIGNED_URL_BASE ||
+    `http://localhost:${process.env.PORT || 5000}/api/storage`;
+};
+
+// Build a signed URL for a 'get' or 'put' operation on a key
+const createSignedUrl = (key, operation, expiresIn = 3600) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const params = new URLSearchParams({
+    op: operation,
+    expires: expires.toString(),
+    signature: sign(operation, key, expires)
+  });
+
+  return `${getSignedUrlBase()}/signed/${key}?${params.toString()}`;
+};
+
+// Check the query of a signed URL for the given key and operation
+const verifySignedUrl = (key, operation, query) => {
+  const { op, expires, signature } = query;
+
+  if (op !== operation || !expires || !signature) {
+    return false;
+  }
+
+  if (parseInt(expires, 10) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(operation, key, expires));
+  const actual = Buffer.from(String(signature));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  getSignedUrlBase,
+  createSignedUrl,
+  verifySignedUrl
+};
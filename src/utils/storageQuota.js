@@ -0,0 +1,82 @@
+const User = require('../models/User');
+
+// Storage quota accounting
+// Every stored file a user owns (photo originals and derivatives, avatar,
+// watermark logo) counts towards stats.storageUsed. Uploads reserve their
+// bytes before storing anything, so concurrent uploads cannot exceed the
+// quota; deletions release them
+
+// Helper function to get the storage quota of a plan, in bytes
+const getStorageLimit = (plan) => {
+  if (plan === 'pro') {
+    return parseInt(process.env.PRO_PLAN_STORAGE_LIMIT, 10) || 10 * 1024 * 1024 * 1024; // 10GB
+  }
+  return parseInt(process.env.FREE_PLAN_STORAGE_LIMIT, 10) || 100 * 1024 * 1024; // 100MB
+};
+
+const createQuotaError = (bytes, limit) => {
+  const error = new Error(`Storage quota exceeded: this upload needs ${bytes} bytes and your plan allows ${limit} bytes in total`);
+  error.statusCode = 413;
+  return error;
+};
+
+// Reserve bytes for an upload, atomically checking the quota
+// Throws a 413 error if the user would exceed it
+const reserveStorage = async(user, bytes) => {
+  const limit = getStorageLimit(user.subscription.plan);
+
+  if (bytes > limit) {
+    throw createQuotaError(bytes, limit);
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'stats.storageUsed': { $lte: limit - bytes } },
+        // Users created before storage accounting start at zero
+        { 'stats.storageUsed': { $exists: false } }
+      ]
+    },
+    { $inc: { 'stats.storageUsed': bytes } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw createQuotaError(bytes, limit);
+  }
+};
+
+// Add (or with a negative value, remove) bytes without checking the quota
+// Used for files generated from an upload that was already accepted
+// Pass a session to update as part of a transaction
+const adjustStorage = (userId, bytes, session = null) => {
+  if (!bytes) {
+    return Promise.resolve();
+  }
+  return User.updateOne({ _id: userId }, { $inc: { 'stats.storageUsed': bytes } }, { session });
+};
+
+// Give back bytes of deleted files
+const releaseStorage = (userId, bytes, session = null) => {
+  return adjustStorage(userId, -(bytes || 0), session);
+};
+
+// Helper function to get a user's storage usage, in bytes
+const getStorageUsage = (user) => {
+  const limit = getStorageLimit(user.subscription.plan);
+  const used = (user.stats && user.stats.storageUsed) || 0;
+
+  return {
+    used,
+    limit,
+    remaining: Math.max(0, limit - used)
+  };
+};
+
+module.exports = {
+  getStorageLimit,
+  reserveStorage,
+  adjustStorage,
+  releaseStorage,
+  getStorageUsage
+};
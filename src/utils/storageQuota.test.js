@@ -0,0 +1,84 @@
+jest.mock('sharp', () => jest.fn());
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getStorageLimit, reserveStorage, releaseStorage, getStorageUsage } = require('./storageQuota');
+
+const MB = 1024 * 1024;
+
+const createUser = (plan = 'free', storageUsed = 0) => ({
+  _id: new mongoose.Types.ObjectId(),
+  subscription: { plan },
+  stats: { storageUsed }
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reserveStorage', () => {
+  it('adds the bytes only while they fit in the plan quota', async() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const user = createUser();
+
+    await reserveStorage(user, 10 * MB);
+
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter._id).toBe(user._id);
+    expect(filter.$or).toContainEqual({ 'stats.storageUsed': { $lte: getStorageLimit('free') - 10 * MB } });
+    expect(update).toEqual({ $inc: { 'stats.storageUsed': 10 * MB } });
+  });
+
+  it('fails with 413 when the quota is used up', async() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(reserveStorage(createUser('free', 99 * MB), 2 * MB)).rejects.toMatchObject({ statusCode: 413 });
+  });
+
+  it('fails with 413 without touching the user when the file is larger than the quota', async() => {
+    jest.spyOn(User, 'updateOne');
+
+    await expect(reserveStorage(createUser(), getStorageLimit('free') + 1)).rejects.toMatchObject({ statusCode: 413 });
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('releaseStorage', () => {
+  it('takes the bytes off the usage within the session', async() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    const userId = new mongoose.Types.ObjectId();
+    const session = {};
+
+    await releaseStorage(userId, 5 * MB, session);
+
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: userId },
+      { $inc: { 'stats.storageUsed': -5 * MB } },
+      { session }
+    );
+  });
+
+  it('does nothing for files without a recorded size', async() => {
+    jest.spyOn(User, 'updateOne');
+
+    await releaseStorage(new mongoose.Types.ObjectId(), undefined);
+
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('getStorageUsage', () => {
+  it('reports the usage against the plan limit', () => {
+    const limit = getStorageLimit('free');
+
+    expect(getStorageUsage(createUser('free', 40 * MB))).toEqual({
+      used: 40 * MB,
+      limit,
+      remaining: limit - 40 * MB
+    });
+  });
+
+  it('never reports negative remaining space', () => {
+    expect(getStorageUsage(createUser('free', getStorageLimit('free') + MB)).remaining).toBe(0);
+  });
+});
@@ -0,0 +1,104 @@
+const Photo = require('../models/Photo');
+const User = require('../models/User');
+const Portfolio = require('../models/Portfolio');
+const { ENVIRONMENT_PREFIX, UPLOAD_SESSIONS_FOLDER, generateKey, listFiles, deleteFromR2 } = require('./r2');
+
+// Reconciliation of the bucket against the database
+// Objects can be left behind when a request fails halfway, when documents
+// are removed in bulk without their files, or when a file is replaced.
+// Only the current environment's prefix is scanned, as other environments
+// have their own databases
+
+// Objects younger than this may belong to an upload or processing run that
+// has stored its files but not yet saved the document referencing them
+const DEFAULT_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Chunks of resumable uploads are never referenced by a document; they are
+// removed with their upload session when it completes or expires
+const isUploadSessionKey = (key) => key.startsWith(generateKey(UPLOAD_SESSIONS_FOLDER, ''));
+
+// Get the keys among `keys` that some document references
+// Pass a session to see the changes of a transaction in progress
+const findReferencedKeys = async(keys, session = null) => {
+  const [photos, avatarUsers, watermarkUsers, portfolios] = await Promise.all([
+    Photo.findByR2Keys(keys).select('publicId originalKey formats variants').session(session),
+    User.findByAvatarKeys(keys).select('r2.avatarKey').session(session),
+    User.findByWatermarkLogoKeys(keys).select('r2.watermarkLogoKey').session(session),
+    Portfolio.findByCoverPhotoKeys(keys).select('r2.coverPhotoKey').session(session)
+  ]);
+
+  const referenced = new Set();
+  photos.forEach(photo => photo.getStorageKeys().forEach(key => referenced.add(key)));
+  avatarUsers.forEach(user => referenced.add(user.r2.avatarKey));
+  watermarkUsers.forEach(user => referenced.add(user.r2.watermarkLogoKey));
+  portfolios.forEach(portfolio => referenced.add(portfolio.r2.coverPhotoKey));
+
+  return referenced;
+};
+
+// Get the keys among `keys` that no document references, and so can be
+// deleted; duplicated photos share their source's files, so a file may
+// still be in use after the document it was removed from is gone
+const findUnreferencedKeys = async(keys, session = null) => {
+  if (keys.length === 0) {
+    return [];
+  }
+
+  const referenced = await findReferencedKeys(keys, session);
+  return keys.filter(key => !referenced.has(key));
+};
+
+// Find objects no document references, one listing page at a time
+// onOrphan(object) is awaited for each orphan ({ key, size, lastModified }),
+// e.g. to report or delete it. Returns counts of what was scanned
+const findOrphanedObjects = async({ prefix = `${ENVIRONMENT_PREFIX}/`, minAge = DEFAULT_MIN_AGE_MS, onOrphan }) => {
+  const cutoff = Date.now() - minAge;
+  const summary = { scanned: 0, skipped: 0, orphans: 0, orphanBytes: 0 };
+  let continuationToken = null;
+
+  do {
+    const page = await listFiles(prefix, { continuationToken });
+    const candidates = page.objects.filter(object => {
+      return new Date(object.lastModified).getTime() <= cutoff && !isUploadSessionKey(object.key);
+    });
+
+    summary.scanned += page.objects.length;
+    summary.skipped += page.objects.length - candidates.length;
+
+    if (candidates.length > 0) {
+      const referenced = await findReferencedKeys(candidates.map(object => object.key));
+
+      for (const object of candidates.filter(candidate => !referenced.has(candidate.key))) {
+        summary.orphans += 1;
+        summary.orphanBytes += object.size || 0;
+        await onOrphan(object);
+      }
+    }
+
+    continuationToken = page.nextContinuationToken;
+  } while (continuationToken);
+
+  return summary;
+};
+
+// Find orphaned objects and delete them unless dryRun is set
+// onOrphan(object, { deleted }) is called for reporting
+const reconcileStorage = ({ dryRun = true, minAge, onOrphan = () => {} } = {}) => {
+  return findOrphanedObjects({
+    minAge,
+    onOrphan: async(object) => {
+      if (!dryRun) {
+        await deleteFromR2(object.key);
+      }
+      await onOrphan(object, { deleted: !dryRun });
+    }
+  });
+};
+
+module.exports = {
+  DEFAULT_MIN_AGE_MS,
+  findReferencedKeys,
+  findUnreferencedKeys,
+  findOrphanedObjects,
+  reconcileStorage
+};
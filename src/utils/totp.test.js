@@ -0,0 +1,67 @@
+const { base32Encode, base32Decode, generateTotp, verifyTotp } = require('./totp');
+
+// RFC 6238 appendix B, SHA-1: the ASCII seed "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+// The RFC lists 8-digit codes; 6-digit codes are their last six digits
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+describe('base32', () => {
+  it('encodes the RFC seed as authenticator apps expect', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('decodes lower case, padded and spaced input', () => {
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====').toString('ascii')).toBe('12345678901234567890');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateTotp', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code.slice(-6));
+  });
+});
+
+describe('verifyTotp', () => {
+  const timestamp = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+  const codeAt = (offset) => generateTotp(RFC_SECRET, timestamp + offset * 30 * 1000);
+
+  it('returns the time step of a valid code', () => {
+    expect(verifyTotp(RFC_SECRET, codeAt(0), { timestamp })).toBe(step);
+  });
+
+  it('accepts codes one step early or late', () => {
+    expect(verifyTotp(RFC_SECRET, codeAt(-1), { timestamp })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, codeAt(1), { timestamp })).toBe(step + 1);
+  });
+
+  it('rejects codes outside the drift window', () => {
+    expect(verifyTotp(RFC_SECRET, codeAt(-2), { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, codeAt(2), { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, codeAt(2), { timestamp, window: 2 })).toBe(step + 2);
+  });
+
+  it('rejects a step that was already used, and earlier ones', () => {
+    expect(verifyTotp(RFC_SECRET, codeAt(0), { timestamp, lastUsedStep: step })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, codeAt(-1), { timestamp, lastUsedStep: step })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, codeAt(1), { timestamp, lastUsedStep: step })).toBe(step + 1);
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '12345', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { timestamp })).toBeNull();
+  });
+});
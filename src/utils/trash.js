@@ -0,0 +1,178 @@
+const Photo = require('../models/Photo');
+const Portfolio = require('../models/Portfolio');
+const { registerJobHandler, scheduleRecurringJob } = require('./jobQueue');
+const {
+  withTransaction,
+  incrementOwnerStats,
+  getPhotoStatIncrements,
+  deletePhoto,
+  deletePortfolio
+} = require('./deletion');
+
+const TRASH_PURGE_JOB = 'trash.purge';
+
+// Trash for photos and portfolios
+// Deleting moves items to the trash: they are hidden from every query (see
+// utils/softDelete) and no longer count as photos or likes, but their files
+// are kept, and still count towards the storage quota, until the trash is
+// purged after the retention window or emptied by the owner
+
+// Helper function to get how many days items stay in the trash
+const getTrashRetentionDays = () => {
+  return parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+};
+
+// Get the date a trashed item will be purged
+const getPurgeDate = (deletedAt) => {
+  return new Date(deletedAt.getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+const createTrashError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Move a photo to the trash
+const trashPhoto = async(photo) => {
+  await withTransaction(async(session) => {
+    const result = await Photo.updateOne(
+      { _id: photo._id, deletedAt: null },
+      { $set: { deletedAt: new Date(), trashedWith: null } },
+      { session }
+    );
+
+    if (result.modifiedCount > 0) {
+      await incrementOwnerStats(getPhotoStatIncrements([photo], -1), session);
+    }
+  });
+};
+
+// Move a portfolio and its photos to the trash
+// Photos already in the trash stay there if the portfolio is restored
+const trashPortfolio = async(portfolio) => {
+  await withTransaction(async(session) => {
+    const deletedAt = new Date();
+    const photos = await Photo.find({ portfolio: portfolio._id })
+      .select('user analytics.likes')
+      .session(session);
+
+    await Photo.updateMany(
+      { _id: { $in: photos.map(photo => photo._id) } },
+      { $set: { deletedAt, trashedWith: portfolio._id } },
+      { session }
+    );
+    await Portfolio.updateOne({ _id: portfolio._id }, { $set: { deletedAt } }, { session });
+    await incrementOwnerStats(getPhotoStatIncrements(photos, -1), session);
+  });
+};
+
+// Restore a trashed photo
+// Throws a 409 error if its portfolio is in the trash
+const restorePhoto = async(photo) => {
+  if (photo.portfolio) {
+    const portfolio = await Portfolio.findById(photo.portfolio).select('deletedAt').withDeleted();
+    if (portfolio && portfolio.deletedAt) {
+      throw createTrashError('The portfolio of this photo is in the trash; restore the portfolio first', 409);
+    }
+  }
+
+  await withTransaction(async(session) => {
+    const result = await Photo.updateOne(
+      { _id: photo._id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, trashedWith: null } },
+      { session }
+    );
+
+    if (result.modifiedCount > 0) {
+      await incrementOwnerStats(getPhotoStatIncrements([photo], 1), session);
+    }
+  });
+};
+
+// Restore a trashed portfolio with the photos trashed along with it
+const restorePortfolio = async(portfolio) => {
+  await withTransaction(async(session) => {
+    const result = await Portfolio.updateOne(
+      { _id: portfolio._id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      return;
+    }
+
+    const photos = await Photo.find({ trashedWith: portfolio._id, deletedAt: { $ne: null } })
+      .select('user analytics.likes')
+      .session(session);
+
+    await Photo.updateMany(
+      { _id: { $in: photos.map(photo => photo._id) } },
+      { $set: { deletedAt: null, trashedWith: null } },
+      { session }
+    );
+    await incrementOwnerStats(getPhotoStatIncrements(photos, 1), session);
+  });
+};
+
+// Permanently delete trashed items, their likes and their stored files
+// filter narrows the trashed portfolios and photos (e.g. { user }); each
+// item is deleted separately so one failure does not stop the rest
+const purgeTrash = async(filter = {}) => {
+  const summary = { portfolios: 0, photos: 0, failed: 0 };
+
+  const portfolios = await Portfolio.find({ deletedAt: { $ne: null }, ...filter }).select('user r2.coverPhotoKey deletedAt');
+  for (const portfolio of portfolios) {
+    try {
+      await deletePortfolio(portfolio);
+      summary.portfolios += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`Failed to purge portfolio ${portfolio._id}:`, error.message);
+    }
+  }
+
+  // Photos trashed with a portfolio were deleted with it
+  const photos = await Photo.find({ deletedAt: { $ne: null }, ...filter }).select('_id deletedAt');
+  for (const photo of photos) {
+    try {
+      await deletePhoto(photo);
+      summary.photos += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`Failed to purge photo ${photo._id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+// Purge items that have been in the trash longer than the retention window
+const purgeExpiredTrash = () => {
+  const cutoff = new Date(Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+  return purgeTrash({ deletedAt: { $lte: cutoff } });
+};
+
+// Make sure the recurring 'trash.purge' job is scheduled
+// Called on startup by the API server and the standalone worker; the job
+// runs once per interval however many of them are running
+const scheduleTrashPurge = () => {
+  const interval = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000; // 1 hour
+  return scheduleRecurringJob(TRASH_PURGE_JOB, interval);
+};
+
+registerJobHandler(TRASH_PURGE_JOB, purgeExpiredTrash);
+
+module.exports = {
+  TRASH_PURGE_JOB,
+  getTrashRetentionDays,
+  getPurgeDate,
+  trashPhoto,
+  trashPortfolio,
+  restorePhoto,
+  restorePortfolio,
+  purgeTrash,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
@@ -0,0 +1,95 @@
+const sharp = require('sharp');
+
+// Watermarks are drawn as an SVG overlay the size of the image, so text and
+// logo can be positioned and faded in one composite step
+
+const escapeXml = (text) => {
+  return text.replace(/[<>&'"]/g, char => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    '\'': '&apos;',
+    '"': '&quot;'
+  })[char]);
+};
+
+// Build the overlay for an image of the given size
+// watermark: { text, position, opacity, logo: { data, width, height } }
+const createWatermarkSvg = (width, height, watermark) => {
+  const { text, position = 'bottom-right', opacity = 0.7, logo } = watermark;
+
+  const margin = Math.round(Math.min(width, height) * 0.03);
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) * 0.04));
+  const [vertical, horizontal = 'center'] = position === 'center' ? ['center'] : position.split('-');
+
+  // Logo is scaled to 15% of the image width, above the text if both are set
+  const logoWidth = logo ? Math.round(width * 0.15) : 0;
+  const logoHeight = logo ? Math.round(logoWidth * logo.height / logo.width) : 0;
+  const textHeight = text ? fontSize : 0;
+  const gap = logo && text ? Math.round(fontSize / 2) : 0;
+  const blockHeight = logoHeight + gap + textHeight;
+
+  const top = {
+    top: margin,
+    center: Math.round((height - blockHeight) / 2),
+    bottom: height - margin - blockHeight
+  }[vertical];
+  const x = { left: margin, center: Math.round(width / 2), right: width - margin }[horizontal];
+  const anchor = { left: 'start', center: 'middle', right: 'end' }[horizontal];
+  const logoX = { left: x, center: x - Math.round(logoWidth / 2), right: x - logoWidth }[horizontal];
+
+  const elements = [];
+
+  if (logo) {
+    elements.push(
+      `<image x="${logoX}" y="${top}" width="${logoWidth}" height="${logoHeight}" ` +
+      `href="data:image/png;base64,${logo.data.toString('base64')}"/>`
+    );
+  }
+
+  if (text) {
+    // A dark outline keeps light text readable on light photos
+    elements.push(
+      `<text x="${x}" y="${top + blockHeight}" text-anchor="${anchor}" ` +
+      `font-family="sans-serif" font-size="${fontSize}" fill="#fff" stroke="#000" ` +
+      `stroke-opacity="0.4" stroke-width="${Math.max(1, Math.round(fontSize / 16))}" ` +
+      `paint-order="stroke">${escapeXml(text)}</text>`
+    );
+  }
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<g opacity="${opacity}">${elements.join('')}</g></svg>`
+  );
+};
+
+// Draw a watermark onto a sharp pipeline and return the resulting pipeline
+// The pipeline is rendered first, so the overlay matches its output size
+const applyWatermark = async(image, watermark) => {
+  if (!watermark) {
+    return image;
+  }
+
+  const { data, info } = await image.clone().raw().toBuffer({ resolveWithObject: true });
+
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .composite([{ input: createWatermarkSvg(info.width, info.height, watermark), top: 0, left: 0 }]);
+};
+
+// Prepare an uploaded logo for use in watermarks: PNG (keeping transparency),
+// at most 1024px wide
+const prepareWatermarkLogo = async(buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize(1024, 1024, { fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height };
+};
+
+module.exports = {
+  createWatermarkSvg,
+  applyWatermark,
+  prepareWatermarkLogo
+};
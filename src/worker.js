@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { startJobWorker, stopJobWorker } = require('./utils/jobQueue');
+const { scheduleTrashPurge } = require('./utils/trash');
+
+// Import background jobs (registers the job handlers)
+require('./utils/jobHandlers');
+
+// Standalone background job worker
+// Run with JOB_WORKER_ENABLED=false on the API servers to keep image
+// processing off the request-serving processes
+const startWorker = async() => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error('Database connection error:', error.message);
+    process.exit(1);
+  }
+
+  await scheduleTrashPurge();
+  startJobWorker();
+  console.log('Job worker started');
+
+  // Keep the process alive; the worker's poll timer is unref'd
+  const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+
+  const shutdown = async() => {
+    console.log('Job worker stopping');
+    clearInterval(keepAlive);
+    await stopJobWorker();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+startWorker();